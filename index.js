@@ -42,13 +42,15 @@ class Program {
         break;
 
       case requiredCommand.name === Commands.fill:
-        const entetiesNumber = inputCommands[1];
-        await requiredCommand.execute(entetiesNumber);
+        await requiredCommand.execute(...inputCommands.slice(1));
         process.exit(SUCCESS_CODE);
         break;
 
       case requiredCommand.name !== Commands.server:
-        Program.printOutput(requiredCommand.execute(), SUCCESS_CODE);
+        const output = await requiredCommand.execute(...inputCommands.slice(1));
+        if (output !== undefined) {
+          Program.printOutput(output, SUCCESS_CODE);
+        }
         process.exit(SUCCESS_CODE);
         break;
 
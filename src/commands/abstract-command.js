@@ -5,4 +5,10 @@ module.exports = class Command {
   }
 
   execute() {}
+
+  // Storage is required by the running command only, as the MongoDB one connects to the database once it's required,
+  // so the commands listed by the help don't connect
+  getStores() {
+    return require(`../server/store/storage`);
+  }
 };
@@ -0,0 +1,95 @@
+const AbstractCommand = require(`./abstract-command`);
+
+const {CommandFlags,
+  Commands} = require(`../utils/util-constants`);
+const {createApiKey,
+  getKeyUsage} = require(`../server/auth/api-keys`);
+const logger = require(`../server/logger`);
+
+const {ERROR_CODE} = require(`../utils/util-constants`);
+
+const Actions = {
+  CREATE: `create`,
+  LIST: `list`,
+  REVOKE: `revoke`
+};
+
+const exitWithError = (message) => {
+  console.error(message);
+  process.exit(ERROR_CODE);
+};
+
+const getQuota = (flags) => {
+  if (!flags.includes(CommandFlags.QUOTA)) {
+    return void 0;
+  }
+
+  const quota = Number(flags[flags.indexOf(CommandFlags.QUOTA) + 1]);
+
+  if (!Number.isInteger(quota) || quota <= 0) {
+    exitWithError(`Quota should be a positive integer after ${CommandFlags.QUOTA}`);
+  }
+
+  return quota;
+};
+
+const formatKey = (keyData) => {
+  const usage = getKeyUsage(keyData);
+  const state = usage.revoked ? `revoked ${new Date(usage.revoked).toISOString()}` : `active`;
+
+  return `${usage.id} ${usage.prefix}... user: ${usage.userName}, used today: ${usage.usedToday} of ${usage.quota}, total: ${usage.total}, ${state}`;
+};
+
+const ActionHandlers = {
+  [Actions.CREATE]: async ({apiKeysStore, usersStore}, userName, ...flags) => {
+    const quota = getQuota(flags);
+
+    if (!userName || userName.startsWith(`--`)) {
+      exitWithError(`User name should be set: --${Commands.apikey} ${Actions.CREATE} USER_NAME`);
+    }
+
+    const user = await usersStore.getUser(userName);
+
+    if (!user) {
+      exitWithError(`User "${userName}" can't be found`);
+    }
+
+    const {key, keyData} = createApiKey(user, quota);
+    await apiKeysStore.save(keyData);
+
+    console.log(`API key ${keyData.id} was created for ${user.name}, it's shown only once:\n${key}`);
+  },
+
+  [Actions.LIST]: async ({apiKeysStore}) => {
+    const keys = await apiKeysStore.getKeys();
+    console.log(keys.length ? keys.map(formatKey).join(`\n`) : `There are no API keys`);
+  },
+
+  [Actions.REVOKE]: async ({apiKeysStore}, id) => {
+    if (!id) {
+      exitWithError(`Key id should be set: --${Commands.apikey} ${Actions.REVOKE} KEY_ID`);
+    }
+
+    const revokedCount = await apiKeysStore.revokeKey(id, Date.now());
+    console.log(revokedCount ? `API key ${id} was revoked` : `There is no active API key ${id}`);
+  }
+};
+
+class ApiKey extends AbstractCommand {
+  async execute(action, ...args) {
+    if (!ActionHandlers.hasOwnProperty(action)) {
+      exitWithError(`Action should be one of: ${Object.values(Actions).join(`, `)}`);
+    }
+
+    console.log(`Connecting to database...`);
+
+    try {
+      await ActionHandlers[action](this.getStores(), ...args);
+    } catch (err) {
+      logger.error(err);
+      process.exit(ERROR_CODE);
+    }
+  }
+}
+
+module.exports = new ApiKey(Commands.apikey, `Manages API keys of the users: --${Commands.apikey} ${Actions.CREATE} USER_NAME [${CommandFlags.QUOTA} NUMBER] | ${Actions.LIST} | ${Actions.REVOKE} KEY_ID`);
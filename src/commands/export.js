@@ -0,0 +1,30 @@
+const AbstractCommand = require(`./abstract-command`);
+
+const {Commands} = require(`../utils/util-constants`);
+const {exportBackup} = require(`../server/store/backup`);
+const logger = require(`../server/logger`);
+
+const {ERROR_CODE} = require(`../utils/util-constants`);
+
+class Export extends AbstractCommand {
+  async execute(dir) {
+    if (!dir) {
+      console.error(`Backup directory should be set`);
+      process.exit(ERROR_CODE);
+    }
+
+    console.log(`Connecting to database...`);
+
+    try {
+      const {counts} = await exportBackup(this.getStores(), dir);
+      const countsList = Object.keys(counts).map((it) => `${counts[it]} ${it}`).join(`, `);
+
+      console.log(`Backup was written to ${dir}: ${countsList}`);
+    } catch (err) {
+      logger.error(err);
+      process.exit(ERROR_CODE);
+    }
+  }
+}
+
+module.exports = new Export(Commands.export, `Writes offers and their images to the backup directory: --export <dir>`);
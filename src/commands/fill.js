@@ -1,15 +1,29 @@
 const AbstractCommand = require(`./abstract-command`);
 
-const {Commands} = require(`../utils/util-constants`);
+const {CommandFlags,
+  Commands} = require(`../utils/util-constants`);
 const generateEntity = require(`../generate/generate-entity`);
+const generateProfileEntity = require(`../generate/generate-profile-entity`);
 const logger = require(`../server/logger`);
-const store = require(`../server/store/store`);
+const {Profiles} = require(`../generate/profiles`);
+const {withRandomSeed} = require(`../utils/util-functions`);
 
 const {ERROR_CODE} = require(`../utils/util-constants`);
 
+const PROFILE_NAMES = Object.keys(Profiles);
+
+const getFlagValue = (flags, flag) => {
+  const index = flags.indexOf(flag);
+  return index === -1 ? void 0 : flags[index + 1];
+};
+
 class Fill extends AbstractCommand {
-  async execute(quantity = 10) {
+  // Seed is taken from --seed flag or FILL_SEED env variable, --profile makes offers consistent with their types
+  async execute(quantity = 10, ...flags) {
     const offersNumber = Number(quantity);
+    const seedIndex = flags.indexOf(CommandFlags.SEED);
+    const seed = seedIndex === -1 ? process.env.FILL_SEED : flags[seedIndex + 1];
+    const profileName = getFlagValue(flags, CommandFlags.PROFILE);
 
     if (!offersNumber || !Number.isInteger(offersNumber)) {
       console.error(`Offers number should be an integer`);
@@ -17,11 +31,22 @@ class Fill extends AbstractCommand {
     }
 
     console.log(`Creating data...`);
-    const offers = Array(offersNumber).fill(null).map(() => generateEntity());
+    if (seedIndex !== -1 && !seed) {
+      console.error(`Seed should be set after ${CommandFlags.SEED}`);
+      process.exit(ERROR_CODE);
+    }
+
+    if (flags.includes(CommandFlags.PROFILE) && !PROFILE_NAMES.includes(profileName)) {
+      console.error(`Profile should be set after ${CommandFlags.PROFILE}: ${PROFILE_NAMES.join(`, `)}`);
+      process.exit(ERROR_CODE);
+    }
+
+    const generate = profileName ? () => generateProfileEntity(Profiles[profileName]) : generateEntity;
+    const offers = withRandomSeed(seed, () => Array(offersNumber).fill(null).map(() => generate()));
 
     console.log(`Connecting to database...`);
 
-    await store.saveMany(offers)
+    await this.getStores().offersStore.saveMany(offers)
     .then(() => {
       console.log(`Database was successfully filled with ${offersNumber} offers`);
     })
@@ -32,4 +57,4 @@ class Fill extends AbstractCommand {
   }
 }
 
-module.exports = new Fill(Commands.fill, `Fills database with mock data`);
+module.exports = new Fill(Commands.fill, `Fills database with mock data: --fill [NUMBER] [${CommandFlags.SEED} SEED] [${CommandFlags.PROFILE} ${PROFILE_NAMES.join(`|`)}]`);
@@ -2,15 +2,22 @@ const colors = require(`colors`);
 
 const AbsctractCommand = require(`./abstract-command`);
 
+const apikey = require(`./apikey`);
 const author = require(`./author`);
 const {Commands} = require(`../utils/util-constants`);
 const description = require(`./description`);
+const exportCommand = require(`./export`);
 const fill = require(`./fill`);
+const importBackup = require(`./import-backup`);
+const importCommand = require(`./import`);
 const license = require(`./license`);
+const migrate = require(`./migrate`);
+const prune = require(`./prune`);
+const purge = require(`./purge`);
 const server = require(`./server`);
 const version = require(`./version`);
 
-const commands = [version, license, author, description, server, fill];
+const commands = [version, license, author, description, server, fill, importCommand, exportCommand, importBackup, migrate, purge, prune, apikey];
 
 const PREFIX = `--`;
 
@@ -0,0 +1,33 @@
+const AbstractCommand = require(`./abstract-command`);
+
+const {Commands} = require(`../utils/util-constants`);
+const {importBackup} = require(`../server/store/backup`);
+const logger = require(`../server/logger`);
+
+const {ERROR_CODE} = require(`../utils/util-constants`);
+
+class ImportBackup extends AbstractCommand {
+  async execute(dir) {
+    if (!dir) {
+      console.error(`Backup directory should be set`);
+      process.exit(ERROR_CODE);
+    }
+
+    console.log(`Connecting to database...`);
+
+    try {
+      const result = await importBackup(this.getStores(), dir);
+      const imagesList = Object.keys(result)
+        .filter((it) => it !== `offers`)
+        .map((it) => `${result[it].restored} ${it} restored, ${result[it].skipped} unchanged`)
+        .join(`, `);
+
+      console.log(`${result.offers} offers were restored, ${imagesList}`);
+    } catch (err) {
+      logger.error(err);
+      process.exit(ERROR_CODE);
+    }
+  }
+}
+
+module.exports = new ImportBackup(Commands.importBackup, `Restores offers and their images from the backup directory: --import-backup <dir>`);
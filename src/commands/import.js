@@ -0,0 +1,63 @@
+const fs = require(`fs`);
+const {promisify} = require(`util`);
+
+const AbstractCommand = require(`./abstract-command`);
+
+const {Commands} = require(`../utils/util-constants`);
+const {getRandomArrayItem} = require(`../utils/util-functions`);
+const logger = require(`../server/logger`);
+const {NAMES} = require(`../server/server-settings`);
+const {parseOffersCsv} = require(`../server/routes/offers-csv`);
+const {prepareForSaving} = require(`../server/routes/prepare-offer`);
+const validate = require(`../server/routes/validate`);
+const ValidationError = require(`../server/errors/validation-error`);
+
+const {ERROR_CODE} = require(`../utils/util-constants`);
+
+const readFile = promisify(fs.readFile);
+
+// Returns the offers to save and the validation errors of the rest rows as {row, errors}
+const validateRows = (rows) => rows.reduce((accumulator, {row, formData}) => {
+  try {
+    const validatedOffer = validate(Object.assign({name: getRandomArrayItem(NAMES)}, formData));
+    accumulator.offers.push(prepareForSaving(validatedOffer));
+  } catch (err) {
+    if (!(err instanceof ValidationError)) {
+      throw err;
+    }
+    accumulator.rejectedRows.push({row, errors: err.errors});
+  }
+  return accumulator;
+}, {offers: [], rejectedRows: []});
+
+const printRejectedRow = ({row, errors}) => {
+  const fieldErrors = errors.map((it) => `  ${it.fieldName}: ${it.errorMessage}`).join(`\n`);
+  console.error(`Row ${row} is skipped:\n${fieldErrors}`);
+};
+
+class Import extends AbstractCommand {
+  async execute(filePath) {
+    if (!filePath) {
+      console.error(`Path to the CSV file should be set`);
+      process.exit(ERROR_CODE);
+    }
+
+    try {
+      const {offers, rejectedRows} = validateRows(parseOffersCsv(await readFile(filePath, `utf8`)));
+
+      rejectedRows.forEach(printRejectedRow);
+
+      if (offers.length) {
+        console.log(`Connecting to database...`);
+        await this.getStores().offersStore.saveMany(offers);
+      }
+
+      console.log(`${offers.length} offers were imported, ${rejectedRows.length} rows were skipped`);
+    } catch (err) {
+      logger.error(err);
+      process.exit(ERROR_CODE);
+    }
+  }
+}
+
+module.exports = new Import(Commands.import, `Imports offers from the CSV file: --import <file.csv>`);
@@ -0,0 +1,25 @@
+const AbstractCommand = require(`./abstract-command`);
+
+const {Commands} = require(`../utils/util-constants`);
+const logger = require(`../server/logger`);
+
+const {ERROR_CODE} = require(`../utils/util-constants`);
+
+class Migrate extends AbstractCommand {
+  async execute() {
+    console.log(`Connecting to database...`);
+
+    try {
+      const {offersStore: store} = this.getStores();
+      await store.migrateIndexes();
+      const updatedCount = await store.backfillIds();
+
+      console.log(`Ids were added to ${updatedCount} offers`);
+    } catch (err) {
+      logger.error(err);
+      process.exit(ERROR_CODE);
+    }
+  }
+}
+
+module.exports = new Migrate(Commands.migrate, `Adds ids to the offers saved without them and updates database indexes`);
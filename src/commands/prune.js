@@ -0,0 +1,59 @@
+const AbstractCommand = require(`./abstract-command`);
+
+const {CommandFlags,
+  Commands,
+  DURATION_REGEXP,
+  DurationUnits} = require(`../utils/util-constants`);
+const logger = require(`../server/logger`);
+const {removeOfferImages} = require(`../server/routes/offer-images`);
+
+const {ERROR_CODE} = require(`../utils/util-constants`);
+
+// Returns duration like 30d in milliseconds or undefined for the wrong one
+const parseDuration = (duration = ``) => {
+  const match = duration.match(DURATION_REGEXP);
+  return match ? Number(match[1]) * DurationUnits[match[2]] : void 0;
+};
+
+// Removes the offers saved before the date together with their images and bookings, resolves with their count
+const pruneOffers = async ({avatarStore, bookingsStore, offersStore, previewStore}, date) => {
+  const cursor = await offersStore.getStoredOffers({date: {$lt: date}});
+  const offers = await cursor.toArray();
+
+  for (const offer of offers) {
+    await offersStore.removeOffer(offer._id);
+    await removeOfferImages(avatarStore, previewStore, offer._id);
+
+    if (offer.id) {
+      await bookingsStore.removeOfferBookings(offer.id);
+    }
+  }
+
+  return offers.length;
+};
+
+class Prune extends AbstractCommand {
+  async execute(...flags) {
+    const duration = parseDuration(flags[flags.indexOf(CommandFlags.OLDER_THAN) + 1]);
+
+    if (!flags.includes(CommandFlags.OLDER_THAN) || !duration) {
+      console.error(`Offers age should be set like ${CommandFlags.OLDER_THAN} 30d, units: ${Object.keys(DurationUnits).join(`, `)}`);
+      process.exit(ERROR_CODE);
+    }
+
+    console.log(`Connecting to database...`);
+
+    try {
+      const removedCount = await pruneOffers(this.getStores(), Date.now() - duration);
+
+      console.log(`${removedCount} offers were removed together with their images`);
+    } catch (err) {
+      logger.error(err);
+      process.exit(ERROR_CODE);
+    }
+  }
+}
+
+module.exports = new Prune(Commands.prune, `Removes offers older than the age together with their images: --prune ${CommandFlags.OLDER_THAN} 30d`);
+module.exports.parseDuration = parseDuration;
+module.exports.pruneOffers = pruneOffers;
@@ -0,0 +1,53 @@
+const AbstractCommand = require(`./abstract-command`);
+
+const {askConfirmation} = require(`../utils/ask-confirmation`);
+const {CommandFlags,
+  Commands} = require(`../utils/util-constants`);
+const logger = require(`../server/logger`);
+
+const {ERROR_CODE} = require(`../utils/util-constants`);
+
+const getRemovedData = (withBookings) => (withBookings ? `offers, their images and bookings` : `offers and their images`);
+
+// Resolves with true if the --yes flag is set or the removal is confirmed
+const isPurgeConfirmed = async (flags, confirm = askConfirmation) => flags.includes(CommandFlags.YES) ||
+  confirm(`All the ${getRemovedData(flags.includes(CommandFlags.WITH_BOOKINGS))} will be removed. Continue?`);
+
+// Bookings are removed only on demand, resolves with the removed offers count
+const purgeStores = async ({avatarStore, bookingsStore, offersStore, previewStore}, withBookings) => {
+  const removedCount = await offersStore.removeAll();
+  await avatarStore.removeAll();
+  await previewStore.removeAll();
+
+  if (withBookings) {
+    await bookingsStore.removeAll();
+  }
+
+  return removedCount;
+};
+
+class Purge extends AbstractCommand {
+  async execute(...flags) {
+    const withBookings = flags.includes(CommandFlags.WITH_BOOKINGS);
+
+    if (!await isPurgeConfirmed(flags)) {
+      console.log(`Nothing was removed`);
+      return;
+    }
+
+    console.log(`Connecting to database...`);
+
+    try {
+      const removedCount = await purgeStores(this.getStores(), withBookings);
+
+      console.log(`${removedCount} ${getRemovedData(withBookings)} were removed`);
+    } catch (err) {
+      logger.error(err);
+      process.exit(ERROR_CODE);
+    }
+  }
+}
+
+module.exports = new Purge(Commands.purge, `Removes all the offers and images after the confirmation, bookings too with ${CommandFlags.WITH_BOOKINGS}: --purge [--yes] [${CommandFlags.WITH_BOOKINGS}]`);
+module.exports.isPurgeConfirmed = isPurgeConfirmed;
+module.exports.purgeStores = purgeStores;
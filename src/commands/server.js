@@ -1,11 +1,12 @@
 const AbstractCommand = require(`./abstract-command`);
-const LocalServer = require(`../server/local-server`);
 
 const {Commands} = require(`../utils/util-constants`);
 const colors = require(`colors`);
 
 class Server extends AbstractCommand {
   execute(port) {
+    // Required on the run only, as the server connects to the storage once it's required
+    const LocalServer = require(`../server/local-server`);
     const localServer = new LocalServer(port);
     localServer.start();
   }
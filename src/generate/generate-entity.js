@@ -3,6 +3,7 @@ const {getRandomString,
   getRandomArrayItem,
   getUniqueArray,
   shuffleArray,
+  generateId,
   getDate} = require(`../../src/utils/util-functions`);
 
 const {NAMES} = require(`../server/server-settings`);
@@ -48,6 +49,7 @@ const generateEntity = () => {
       'y': locationY,
     },
     'date': getDate(TIME_INTERVAL),
+    'id': generateId(),
   };
 };
 
@@ -0,0 +1,88 @@
+const {generateId,
+  getDate,
+  getRandomArrayItem,
+  getRandomBoolean,
+  getRandomInteger,
+  getRandomNormal,
+  shuffleArray} = require(`../utils/util-functions`);
+
+const {NAMES,
+  NOT_FOR_GUESTS_ROOMS} = require(`../server/server-settings`);
+const {TypeDescriptions,
+  TypePrices,
+  TypeTitles} = require(`./profiles`);
+
+const {CHECK_IN_OUT_TIMES,
+  CoordinateX,
+  CoordinateY,
+  FEATURES,
+  LocalAvatars,
+  TIME_INTERVAL} = require(`../utils/util-constants`);
+
+const PRICE_STEP = 100;
+
+const LOCAL_AVATAR_URLS = Array(LocalAvatars.COUNT).fill(null).map((it, index) =>
+  `${LocalAvatars.URL_PREFIX}${String(index + 1).padStart(2, `0`)}${LocalAvatars.EXTENSION}`);
+
+const clamp = (value, min, max) => Math.min(Math.max(Math.round(value), min), max);
+
+// Offers are spread around the randomly chosen profile cluster
+const getClusteredLocation = (clusters) => {
+  const cluster = getRandomArrayItem(clusters);
+  return {
+    x: clamp(getRandomNormal(cluster.x, cluster.spread), CoordinateX.MIN, CoordinateX.MAX),
+    y: clamp(getRandomNormal(cluster.y, cluster.spread), CoordinateY.MIN, CoordinateY.MAX)
+  };
+};
+
+const getTitle = (type, places) => {
+  const {adjectives, nouns} = TypeTitles[type];
+  return `${getRandomArrayItem(adjectives)} ${getRandomArrayItem(nouns)} ${getRandomArrayItem(places)}`;
+};
+
+// The offer with 100 rooms is not for guests, the other ones take no more guests than rooms
+const getGuests = (rooms) => (rooms === NOT_FOR_GUESTS_ROOMS ? 0 : getRandomInteger(1, rooms));
+
+const getDescription = (type, rooms, guests) => {
+  const capacity = guests ? `Комнат: ${rooms}, мест для гостей: ${guests}.` : `Не для гостей.`;
+  return [...shuffleArray(TypeDescriptions[type]).slice(0, 2), capacity].join(` `);
+};
+
+const getPrice = (type) => {
+  const {MIN, MAX} = TypePrices[type];
+  return getRandomInteger(MIN / PRICE_STEP, MAX / PRICE_STEP) * PRICE_STEP;
+};
+
+// Generates the offer which passes validate.js and is consistent with its type, see ./profiles
+const generateProfileEntity = (profile) => {
+  const location = getClusteredLocation(profile.clusters);
+  const type = getRandomArrayItem(profile.types);
+  const rooms = getRandomArrayItem(profile.rooms);
+  const guests = getGuests(rooms);
+  const checkTime = getRandomArrayItem(CHECK_IN_OUT_TIMES);
+
+  return {
+    'author': {
+      'name': getRandomArrayItem(NAMES),
+      'avatar': getRandomArrayItem(LOCAL_AVATAR_URLS),
+    },
+    'offer': {
+      'title': getTitle(type, profile.places),
+      'address': `${location.x}, ${location.y}`,
+      'price': getPrice(type),
+      'type': type,
+      'rooms': rooms,
+      'guests': guests,
+      'checkin': checkTime,
+      'checkout': checkTime,
+      'features': FEATURES.filter(() => getRandomBoolean(profile.featuresShare)),
+      'description': getDescription(type, rooms, guests),
+      'photos': shuffleArray(LOCAL_AVATAR_URLS).slice(0, getRandomInteger(0, profile.maxPhotos)),
+    },
+    'location': location,
+    'date': getDate(TIME_INTERVAL),
+    'id': generateId(),
+  };
+};
+
+module.exports = generateProfileEntity;
@@ -1,5 +1,8 @@
 const generateEntity = require(`./generate-entity`);
+const {OFFERS_FIXTURE_SEED} = require(`../utils/util-constants`);
+const {withRandomSeed} = require(`../utils/util-functions`);
 
 const ENTITIES_QUANTITY = 25;
 
-module.exports = Array(ENTITIES_QUANTITY).fill(null).map(() => generateEntity());
+// Seeded, so the tests get the same offers on every run
+module.exports = withRandomSeed(OFFERS_FIXTURE_SEED, () => Array(ENTITIES_QUANTITY).fill(null).map(() => generateEntity()));
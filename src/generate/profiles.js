@@ -0,0 +1,104 @@
+const {CoordinateX,
+  CoordinateY} = require(`../utils/util-constants`);
+const {NOT_FOR_GUESTS_ROOMS} = require(`../server/server-settings`);
+
+const MAP_CENTER = {
+  x: Math.round((CoordinateX.MIN + CoordinateX.MAX) / 2),
+  y: Math.round((CoordinateY.MIN + CoordinateY.MAX) / 2)
+};
+
+// Title words agree with the type noun gender, every title is long enough for validate.js
+const TypeTitles = {
+  flat: {
+    adjectives: [`Уютная`, `Светлая`, `Просторная`, `Тихая`, `Современная`],
+    nouns: [`квартира`, `студия`, `квартира-студия`]
+  },
+  house: {
+    adjectives: [`Уютный`, `Просторный`, `Светлый`, `Тихий`, `Старинный`],
+    nouns: [`дом`, `гостевой дом`, `коттедж`]
+  },
+  bungalo: {
+    adjectives: [`Уютное`, `Светлое`, `Тихое`, `Небольшое`],
+    nouns: [`бунгало`]
+  },
+  palace: {
+    adjectives: [`Роскошный`, `Огромный`, `Старинный`, `Прекрасный`],
+    nouns: [`дворец`, `особняк`]
+  }
+};
+
+const TypeDescriptions = {
+  flat: [
+    `Квартира на высоком этаже с видом на город.`,
+    `Свежий ремонт, вся техника для жизни и работы.`,
+    `В доме круглосуточная охрана и лифт.`
+  ],
+  house: [
+    `Отдельный дом с небольшим садом и террасой.`,
+    `На кухне есть всё, чтобы готовить для большой компании.`,
+    `Тихая улица, соседи не беспокоят.`
+  ],
+  bungalo: [
+    `Лёгкий домик для тех, кто не боится жить просто.`,
+    `Вокруг зелень, по утрам поют птицы.`,
+    `Отличный вариант для короткой поездки.`
+  ],
+  palace: [
+    `Старинные интерьеры, высокие потолки и парадная лестница.`,
+    `Подойдёт для торжеств и больших семей.`,
+    `Персонал поможет с трансфером и экскурсиями.`
+  ]
+};
+
+// Minimum prices follow the map form rules, the maximum one is the validate.js limit
+const TypePrices = {
+  flat: {MIN: 1000, MAX: 30000},
+  house: {MIN: 5000, MAX: 60000},
+  bungalo: {MIN: 500, MAX: 8000},
+  palace: {MIN: 10000, MAX: 100000}
+};
+
+// Types repeat according to their share, clusters are map-pixel centers with the spread of the offers around them
+const Profiles = {
+  tokyo: {
+    types: [`flat`, `flat`, `flat`, `house`, `house`, `bungalo`, `palace`],
+    places: [
+      `в самом центре Токио`,
+      `рядом со станцией Синдзюку`,
+      `в пяти минутах от Сибуи`,
+      `у парка Уэно и музеев`,
+      `в тихом районе Мэгуро`,
+      `с видом на Токийский залив`
+    ],
+    clusters: [
+      {x: MAP_CENTER.x, y: MAP_CENTER.y, spread: 40},
+      {x: MAP_CENTER.x - 180, y: MAP_CENTER.y - 60, spread: 25},
+      {x: MAP_CENTER.x + 160, y: MAP_CENTER.y + 80, spread: 30}
+    ],
+    rooms: [1, 1, 2, 2, 3],
+    featuresShare: 0.5,
+    maxPhotos: 3
+  },
+  stress: {
+    types: Object.keys(TypeTitles),
+    places: [
+      `на самой окраине карты города`,
+      `где-то между двумя другими метками`,
+      `в самом центре плотной застройки`
+    ],
+    clusters: [
+      {x: MAP_CENTER.x, y: MAP_CENTER.y, spread: 200},
+      {x: MAP_CENTER.x, y: MAP_CENTER.y, spread: 3},
+      {x: CoordinateX.MIN, y: CoordinateY.MIN, spread: 10},
+      {x: CoordinateX.MAX, y: CoordinateY.MAX, spread: 10}
+    ],
+    rooms: [1, 2, 3, NOT_FOR_GUESTS_ROOMS],
+    featuresShare: 1,
+    maxPhotos: 8
+  }
+};
+
+module.exports.Profiles = Profiles;
+module.exports.TypeTitles = TypeTitles;
+module.exports.TypeDescriptions = TypeDescriptions;
+module.exports.TypePrices = TypePrices;
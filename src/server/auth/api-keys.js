@@ -0,0 +1,65 @@
+const crypto = require(`crypto`);
+
+const {ApiKeySettings} = require(`../server-settings`);
+const {generateId} = require(`../../utils/util-functions`);
+
+const MS_IN_DAY = 24 * 60 * 60 * 1000;
+const MS_IN_SECOND = 1000;
+
+const hashApiKey = (key) => crypto.createHash(ApiKeySettings.HASH_ALGORITHM).update(key).digest(`hex`);
+
+module.exports.hashApiKey = hashApiKey;
+
+// Returns the key, which is shown only once, and its data to store without the key itself
+const createApiKey = (user, quota = ApiKeySettings.DAILY_QUOTA) => {
+  const key = crypto.randomBytes(ApiKeySettings.KEY_LENGTH).toString(`hex`);
+
+  return {
+    key,
+    keyData: {
+      id: generateId(),
+      prefix: key.slice(0, ApiKeySettings.PREFIX_LENGTH),
+      hash: hashApiKey(key),
+      userId: user.id,
+      userName: user.name,
+      quota,
+      usage: {},
+      total: 0,
+      date: Date.now()
+    }
+  };
+};
+
+module.exports.createApiKey = createApiKey;
+
+// Usage days are UTC YYYY-MM-DD dates
+const getUsageDay = (date = Date.now()) => new Date(date).toISOString().slice(0, 10);
+
+module.exports.getUsageDay = getUsageDay;
+
+const getSecondsTillNextDay = (date = Date.now()) => Math.ceil((MS_IN_DAY - date % MS_IN_DAY) / MS_IN_SECOND);
+
+module.exports.getSecondsTillNextDay = getSecondsTillNextDay;
+
+const getDayUsage = (keyData, day = getUsageDay()) => (keyData.usage || {})[day] || 0;
+
+module.exports.getDayUsage = getDayUsage;
+
+const getKeyUsage = (keyData, day = getUsageDay()) => {
+  const usedToday = getDayUsage(keyData, day);
+
+  return {
+    id: keyData.id,
+    prefix: keyData.prefix,
+    userName: keyData.userName,
+    quota: keyData.quota,
+    usedToday,
+    remainingToday: Math.max(keyData.quota - usedToday, 0),
+    total: keyData.total || 0,
+    lastUsed: keyData.lastUsed,
+    revoked: keyData.revoked,
+    usage: keyData.usage || {}
+  };
+};
+
+module.exports.getKeyUsage = getKeyUsage;
@@ -0,0 +1,87 @@
+const express = require(`express`);
+
+const {asyncMiddleware,
+  generateId} = require(`../../utils/util-functions`);
+const {createErrorMessage} = require(`../routes/validate`);
+const {createToken} = require(`./token`);
+const enableCors = require(`../routes/enable-cors`);
+const formParser = require(`../routes/form-parser`);
+const {hashPassword,
+  verifyPassword} = require(`./password`);
+const setErrorRoute = require(`../routes/error`);
+const UnauthorizedError = require(`../errors/unauthorized-error`);
+const ValidationError = require(`../errors/validation-error`);
+const {AuthSettings,
+  PasswordLength,
+  UserNameLength,
+  UserRoles,
+  ValidateErrorMessage} = require(`../server-settings`);
+
+const jsonParser = express.json();
+
+const isLengthValid = (value, {MIN, MAX}) => typeof value === `string` && value.length >= MIN && value.length <= MAX;
+
+const validateCredentials = ({name, password}) => {
+  const trimmedName = typeof name === `string` ? name.trim() : name;
+  let errors = [];
+
+  if (!isLengthValid(trimmedName, UserNameLength)) {
+    errors = [...errors, createErrorMessage(`name`, trimmedName ? ValidateErrorMessage.USER_NAME : void 0)];
+  }
+
+  if (!isLengthValid(password, PasswordLength)) {
+    errors = [...errors, createErrorMessage(`password`, password ? ValidateErrorMessage.PASSWORD : void 0)];
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+
+  return {name: trimmedName, password};
+};
+
+// Token "sub" claim is the user id, the name and role are kept in it to check the requests without the store lookup
+const getSession = (user) => ({
+  id: user.id,
+  name: user.name,
+  role: user.role,
+  token: createToken({sub: user.id, name: user.name, role: user.role}),
+  expiresIn: AuthSettings.TOKEN_LIFETIME
+});
+
+module.exports = (usersStore) => {
+  const authRouter = new express.Router();
+
+  authRouter.post(`/register`, jsonParser, formParser, asyncMiddleware(async (req, res) => {
+    const {name, password} = validateCredentials(req.body);
+
+    const userToSave = {
+      id: generateId(),
+      name,
+      password: await hashPassword(password),
+      role: UserRoles.USER,
+      date: Date.now()
+    };
+
+    // Store rejects the taken name with ConflictError, so the concurrent registrations can't both get it
+    await usersStore.save(userToSave);
+
+    res.send(getSession(userToSave));
+  }));
+
+  authRouter.post(`/login`, jsonParser, formParser, asyncMiddleware(async (req, res) => {
+    const {name, password} = req.body;
+    const user = typeof name === `string` && typeof password === `string` ? await usersStore.getUser(name.trim()) : void 0;
+
+    if (!user || !(await verifyPassword(password, user.password))) {
+      throw new UnauthorizedError(`Wrong user name or password`);
+    }
+
+    res.send(getSession(user));
+  }));
+
+  enableCors(authRouter);
+  setErrorRoute(authRouter);
+
+  return authRouter;
+};
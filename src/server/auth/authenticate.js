@@ -0,0 +1,89 @@
+const {ApiKeySettings,
+  AuthSettings,
+  UserRoles} = require(`../server-settings`);
+const {asyncMiddleware} = require(`../../utils/util-functions`);
+const {getSecondsTillNextDay,
+  getUsageDay,
+  hashApiKey} = require(`./api-keys`);
+const TooManyRequestsError = require(`../errors/too-many-requests-error`);
+const UnauthorizedError = require(`../errors/unauthorized-error`);
+const {verifyToken} = require(`./token`);
+
+const AUTHENTICATE_HEADER = `WWW-Authenticate`;
+
+const rejectRequest = (res, next, message) => {
+  res.header(AUTHENTICATE_HEADER, AuthSettings.BEARER_SCHEME);
+  next(new UnauthorizedError(message));
+};
+
+// Sets req.user from "Authorization: Bearer <token>" header, requests without the header stay anonymous
+const authenticate = (req, res, next) => {
+  const authorization = req.get(`Authorization`);
+
+  if (!authorization) {
+    next();
+    return;
+  }
+
+  const [scheme, token] = authorization.split(` `);
+  const claims = scheme === AuthSettings.BEARER_SCHEME ? verifyToken(token) : void 0;
+
+  if (!claims) {
+    rejectRequest(res, next, `Authorization token is wrong or expired`);
+    return;
+  }
+
+  req.user = {
+    id: claims.sub,
+    name: claims.name,
+    role: claims.role || UserRoles.USER
+  };
+  next();
+};
+
+module.exports.authenticate = authenticate;
+
+const requireUser = (req, res, next) => {
+  if (!req.user) {
+    rejectRequest(res, next, `Authorization is required`);
+    return;
+  }
+  next();
+};
+
+module.exports.requireUser = requireUser;
+
+// Requests with X-Api-Key header act as the key user, every request within the daily quota is counted
+const authenticateApiKey = (apiKeysStore) => asyncMiddleware(async (req, res, next) => {
+  const key = req.get(ApiKeySettings.HEADER);
+
+  if (!key) {
+    next();
+    return;
+  }
+
+  const keyData = await apiKeysStore.getKey(hashApiKey(key));
+
+  if (!keyData || keyData.revoked) {
+    throw new UnauthorizedError(`API key is wrong or revoked`);
+  }
+
+  const now = Date.now();
+  const day = getUsageDay(now);
+
+  // Concurrent requests are counted by the store one by one, so they can't exceed the quota together
+  if (!await apiKeysStore.countUsage(keyData.id, day, keyData.quota, now)) {
+    res.header(`Retry-After`, getSecondsTillNextDay(now));
+    throw new TooManyRequestsError(`Daily quota of ${keyData.quota} requests of the API key is exceeded`);
+  }
+
+  req.user = {
+    id: keyData.userId,
+    name: keyData.userName,
+    role: UserRoles.USER
+  };
+  req.apiKey = keyData;
+  next();
+});
+
+module.exports.authenticateApiKey = authenticateApiKey;
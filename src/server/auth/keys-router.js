@@ -0,0 +1,36 @@
+const express = require(`express`);
+
+const {asyncMiddleware} = require(`../../utils/util-functions`);
+const {authenticate,
+  authenticateApiKey,
+  requireUser} = require(`./authenticate`);
+const enableCors = require(`../routes/enable-cors`);
+const {getKeyUsage} = require(`./api-keys`);
+const setErrorRoute = require(`../routes/error`);
+const {UserRoles} = require(`../server-settings`);
+
+// Requests with the key get its own usage, users get the usage of all their keys and admins of all the keys
+const getVisibleKeys = async (apiKeysStore, req) => {
+  if (req.apiKey) {
+    return [await apiKeysStore.getKey(req.apiKey.hash)];
+  }
+
+  return apiKeysStore.getKeys(req.user.role === UserRoles.ADMIN ? void 0 : req.user.id);
+};
+
+module.exports = (apiKeysStore) => {
+  const keysRouter = new express.Router();
+
+  keysRouter.use(authenticateApiKey(apiKeysStore), authenticate, requireUser);
+
+  keysRouter.get(`/usage`, asyncMiddleware(async (req, res) => {
+    const keys = await getVisibleKeys(apiKeysStore, req);
+
+    res.send(keys.map((it) => getKeyUsage(it)));
+  }));
+
+  enableCors(keysRouter);
+  setErrorRoute(keysRouter);
+
+  return keysRouter;
+};
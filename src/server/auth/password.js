@@ -0,0 +1,33 @@
+const crypto = require(`crypto`);
+const {promisify} = require(`util`);
+
+const {PasswordHash} = require(`../server-settings`);
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+const randomBytes = promisify(crypto.randomBytes);
+
+const HASH_ENCODING = `hex`;
+
+// Hash parameters are kept with the hash, so the stronger ones could be used for the new passwords
+const hashPassword = async (password) => {
+  const salt = (await randomBytes(PasswordHash.SALT_LENGTH)).toString(HASH_ENCODING);
+  const hash = await pbkdf2(password, salt, PasswordHash.ITERATIONS, PasswordHash.KEY_LENGTH, PasswordHash.DIGEST);
+
+  return {
+    salt,
+    hash: hash.toString(HASH_ENCODING),
+    iterations: PasswordHash.ITERATIONS,
+    digest: PasswordHash.DIGEST
+  };
+};
+
+module.exports.hashPassword = hashPassword;
+
+const verifyPassword = async (password, storedPassword) => {
+  const storedHash = Buffer.from(storedPassword.hash, HASH_ENCODING);
+  const hash = await pbkdf2(password, storedPassword.salt, storedPassword.iterations, storedHash.length, storedPassword.digest);
+
+  return crypto.timingSafeEqual(hash, storedHash);
+};
+
+module.exports.verifyPassword = verifyPassword;
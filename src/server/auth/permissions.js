@@ -0,0 +1,15 @@
+const ForbiddenError = require(`../errors/forbidden-error`);
+const {UserRoles} = require(`../server-settings`);
+
+// Offers posted before the accounts have no owner, so only admins can change them
+const canModifyOffer = (user, offer) => user.role === UserRoles.ADMIN || (!!offer.ownerId && offer.ownerId === user.id);
+
+module.exports.canModifyOffer = canModifyOffer;
+
+const checkOfferOwner = (user, offer) => {
+  if (!canModifyOffer(user, offer)) {
+    throw new ForbiddenError(`Only the owner or an admin can modify the offer "${offer.id}"`);
+  }
+};
+
+module.exports.checkOfferOwner = checkOfferOwner;
@@ -0,0 +1,68 @@
+const crypto = require(`crypto`);
+
+const {AuthSettings} = require(`../server-settings`);
+
+const TOKEN_HEADER = {alg: `HS256`, typ: `JWT`};
+const HMAC_ALGORITHM = `sha256`;
+const MILLISECONDS_IN_SECOND = 1000;
+
+// Node 8 Buffer has no "base64url" encoding, so the base64 one is made URL-safe by hand
+const toBase64Url = (buffer) => buffer.toString(`base64`)
+  .replace(/=+$/, ``)
+  .replace(/\+/g, `-`)
+  .replace(/\//g, `_`);
+
+const fromBase64Url = (text) => Buffer.from(text.replace(/-/g, `+`).replace(/_/g, `/`), `base64`);
+
+const encodeJson = (data) => toBase64Url(Buffer.from(JSON.stringify(data)));
+
+const decodeJson = (text) => {
+  try {
+    return JSON.parse(fromBase64Url(text).toString(`utf8`));
+  } catch (err) {
+    return void 0;
+  }
+};
+
+const sign = (content, secret) => toBase64Url(crypto.createHmac(HMAC_ALGORITHM, secret).update(content).digest());
+
+const getNowSeconds = () => Math.floor(Date.now() / MILLISECONDS_IN_SECOND);
+
+// Creates HMAC-signed JSON Web Token (RFC 7519), its "iat" and "exp" claims are in seconds
+const createToken = (payload, secret = AuthSettings.SECRET, lifetime = AuthSettings.TOKEN_LIFETIME) => {
+  const issuedAt = getNowSeconds();
+  const claims = Object.assign({}, payload, {iat: issuedAt, exp: issuedAt + lifetime});
+  const content = `${encodeJson(TOKEN_HEADER)}.${encodeJson(claims)}`;
+
+  return `${content}.${sign(content, secret)}`;
+};
+
+module.exports.createToken = createToken;
+
+// Returns the token claims or undefined if the token is malformed, forged or expired
+const verifyToken = (token, secret = AuthSettings.SECRET) => {
+  const parts = typeof token === `string` ? token.split(`.`) : [];
+
+  if (parts.length !== 3) {
+    return void 0;
+  }
+
+  const [header, payload, signature] = parts;
+  const expectedSignature = Buffer.from(sign(`${header}.${payload}`, secret));
+  const receivedSignature = Buffer.from(signature);
+
+  if (receivedSignature.length !== expectedSignature.length || !crypto.timingSafeEqual(receivedSignature, expectedSignature)) {
+    return void 0;
+  }
+
+  const headerData = decodeJson(header);
+  const claims = decodeJson(payload);
+
+  if (!headerData || headerData.alg !== TOKEN_HEADER.alg || !claims || !(claims.exp > getNowSeconds())) {
+    return void 0;
+  }
+
+  return claims;
+};
+
+module.exports.verifyToken = verifyToken;
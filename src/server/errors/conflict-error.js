@@ -0,0 +1,8 @@
+const {StatusCodes} = require(`../server-settings`);
+
+module.exports = class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.code = StatusCodes.CONFLICT;
+  }
+};
@@ -0,0 +1,8 @@
+const {StatusCodes} = require(`../server-settings`);
+
+module.exports = class ForbiddenError extends Error {
+  constructor(message) {
+    super(message);
+    this.code = StatusCodes.FORBIDDEN;
+  }
+};
@@ -1,16 +1,23 @@
 const express = require(`express`);
 const path = require(`path`);
 
-const ImagesStore = require(`./store/images-store`);
-
 const logger = require(`./logger`);
-const offersStore = require(`./store/store`);
+const MemoryRateLimitStore = require(`./store/memory-rate-limit-store`);
+const {apiKeysStore,
+  avatarStore,
+  bookingsStore,
+  offersStore,
+  previewStore,
+  usersStore} = require(`./store/storage`);
 const {ERROR_CODE} = require(`../utils/util-constants`);
 
-const {DEFAULT_PATH,
+const {API_PATH,
+  AUTH_PATH,
+  DEFAULT_PATH,
+  KEYS_PATH,
+  ME_PATH,
   DEFAULT_SERVER_HOST,
   DEFAULT_SERVER_PORT,
-  ImagesStoreNames,
   ERROR_ADDRESS_IN_USE,
   ImplementedMethods,
   StatusCodes} = require(`./server-settings`);
@@ -18,14 +25,16 @@ const {DEFAULT_PATH,
 const {SERVER_PORT = DEFAULT_SERVER_PORT,
   SERVER_HOST = DEFAULT_SERVER_HOST} = process.env;
 
-const avatarStore = new ImagesStore(ImagesStoreNames.AVATARS);
-const previewStore = new ImagesStore(ImagesStoreNames.PREVIEWS);
-const offersRouter = require(`./routes/router`)(offersStore, avatarStore, previewStore);
+const offersRouter = require(`./routes/router`)(offersStore, avatarStore, previewStore, bookingsStore, apiKeysStore);
+const authRouter = require(`./auth/auth-router`)(usersStore);
+const meRouter = require(`./routes/me-router`)(offersStore, apiKeysStore);
+const keysRouter = require(`./auth/keys-router`)(apiKeysStore);
+const rateLimitRouter = require(`./routes/rate-limit`)(new MemoryRateLimitStore(), apiKeysStore);
 
 const STATIC_DIR = path.join(process.cwd(), `static`);
 
 const NOT_FOUND_IMPLEMENTED_HANDLER = (req, res) => {
-  if ((req.method === ImplementedMethods.GET) || (req.method === ImplementedMethods.POST)) {
+  if (Object.values(ImplementedMethods).includes(req.method)) {
     res.status(StatusCodes.NOT_FOUND).send(`Page was not found`);
     return;
   }
@@ -55,6 +64,10 @@ module.exports = class LocalServer {
   _setup() {
     this._app.disable(`x-powered-by`);
     this._app.use(express.static(STATIC_DIR));
+    this._app.use(API_PATH, rateLimitRouter);
+    this._app.use(AUTH_PATH, authRouter);
+    this._app.use(ME_PATH, meRouter);
+    this._app.use(KEYS_PATH, keysRouter);
     this._app.use(DEFAULT_PATH, offersRouter);
     this._app.use(NOT_FOUND_IMPLEMENTED_HANDLER);
     this._app.use(INTERNAL_SERVER_ERROR_HANDLER);
@@ -0,0 +1,93 @@
+const express = require(`express`);
+
+const {asyncMiddleware,
+  generateId} = require(`../../utils/util-functions`);
+const {canModifyOffer} = require(`../auth/permissions`);
+const {requireUser} = require(`../auth/authenticate`);
+const ConflictError = require(`../errors/conflict-error`);
+const ForbiddenError = require(`../errors/forbidden-error`);
+const formParser = require(`./form-parser`);
+const IllegalArgumentError = require(`../errors/illegal-argument-error`);
+const NotFoundError = require(`../errors/not-found-error`);
+const {queueOfferTask} = require(`./offer-queue`);
+const {StatusCodes} = require(`../server-settings`);
+const {validateBooking} = require(`./validate-booking`);
+
+const jsonParser = express.json();
+
+const getBookedOfferId = (offer) => {
+  if (!offer.id) {
+    throw new IllegalArgumentError(`Offer can't be booked until it gets an id`);
+  }
+  return offer.id;
+};
+
+// Anonymous bookings have no user, so only the offer owner or an admin can cancel them
+const canCancelBooking = (user, offer, booking) => !!user &&
+  ((!!booking.userId && booking.userId === user.id) || canModifyOffer(user, offer));
+
+const toBookingResponse = (booking) => Object.assign({}, booking, {_id: void 0});
+
+// Bookings of the other people show only the booked dates, their ids would let to cancel them
+const toListedBooking = (user, offer, booking) => (canCancelBooking(user, offer, booking) ? toBookingResponse(booking) : {
+  offerId: booking.offerId,
+  checkin: booking.checkin,
+  checkout: booking.checkout,
+  start: booking.start,
+  end: booking.end
+});
+
+// Sets bookings routes of the offer resource, getFoundOffer gets the offer by the request params
+module.exports = (router, path, getFoundOffer) => {
+  router.get(`${path}/bookings`, asyncMiddleware(async (req, res) => {
+    const foundOffer = await getFoundOffer(req);
+    const bookings = await router.bookingsStore.getBookings(getBookedOfferId(foundOffer));
+
+    res.send(bookings.map((booking) => toListedBooking(req.user, foundOffer, booking)));
+  }));
+
+  router.post(`${path}/bookings`, jsonParser, formParser, asyncMiddleware(async (req, res) => {
+    const foundOffer = await getFoundOffer(req);
+    const offerId = getBookedOfferId(foundOffer);
+    const bookingData = validateBooking(req.body, foundOffer);
+
+    const bookingToSave = await queueOfferTask(offerId, async () => {
+      const overlappingBookings = await router.bookingsStore.getOverlappingBookings(offerId, bookingData.start, bookingData.end);
+
+      if (overlappingBookings.length) {
+        throw new ConflictError(`Offer is already booked from ${overlappingBookings[0].checkin} to ${overlappingBookings[0].checkout}`);
+      }
+
+      const booking = Object.assign({
+        id: generateId(),
+        offerId,
+        date: Date.now()
+      }, req.user && {userId: req.user.id}, bookingData);
+
+      await router.bookingsStore.save(booking);
+      return booking;
+    });
+
+    res.send(toBookingResponse(bookingToSave));
+  }));
+
+  router.delete(`${path}/bookings/:bookingId`, requireUser, asyncMiddleware(async (req, res) => {
+    const foundOffer = await getFoundOffer(req);
+    const offerId = getBookedOfferId(foundOffer);
+    const booking = (await router.bookingsStore.getBookings(offerId)).find((it) => it.id === req.params.bookingId);
+
+    if (!booking) {
+      throw new NotFoundError(`Booking "${req.params.bookingId}" can't be found`);
+    }
+
+    if (!canCancelBooking(req.user, foundOffer, booking)) {
+      throw new ForbiddenError(`Only the user who booked the offer, its owner or an admin can cancel the booking "${booking.id}"`);
+    }
+
+    await router.bookingsStore.removeBooking(offerId, booking.id);
+
+    res.status(StatusCodes.NO_CONTENT).end();
+  }));
+};
+
+module.exports.getBookedOfferId = getBookedOfferId;
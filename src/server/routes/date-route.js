@@ -1,62 +1,236 @@
+const express = require(`express`);
+const multer = require(`multer`);
+
+const {checkOfferOwner} = require(`../auth/permissions`);
+const {requireUser} = require(`../auth/authenticate`);
+
 const {asyncMiddleware,
-  doesAcceptHtml} = require(`../../utils/util-functions`);
+  sendFormatted} = require(`../../utils/util-functions`);
+const {toFeature} = require(`./geojson`);
+const setBookingsRoutes = require(`./bookings-route`);
+const {getBookedOfferId} = setBookingsRoutes;
+const {createCalendar,
+  importCalendar,
+  parseCalendar} = require(`./offer-calendar`);
 const IllegalArgumentError = require(`../errors/illegal-argument-error`);
 const {getOfferHtml,
   getPageTemplate} = require(`./get-html-templates`);
+const formParser = require(`./form-parser`);
+const {getOfferFormData,
+  prepareForSaving} = require(`./prepare-offer`);
+const {getImage,
+  removeOfferImages} = require(`./offer-images`);
 const logger = require(`../logger`);
 const NotFoundError = require(`../errors/not-found-error`);
+const {CalendarSettings,
+  DEFAULT_IMAGE_TYPE,
+  GEOJSON_FORMAT,
+  StatusCodes,
+  ValidateErrorMessage} = require(`../server-settings`);
+const validate = require(`./validate`);
+const {createErrorMessage} = validate;
+const ValidationError = require(`../errors/validation-error`);
 
-module.exports = (router) => {
-  router.get(`/:date`, asyncMiddleware(async (req, res) => {
-    const date = Number(req.params.date);
+const jsonParser = express.json();
 
-    if (!date) {
-      throw new IllegalArgumentError(`Request doesn't contain the date`);
-    }
+const calendarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: CalendarSettings.FILE_SIZE
+  }
+}).single(CalendarSettings.FIELD_NAME);
 
-    const offerToSend = await router.offersStore.getOffer(date);
+// Reports wrong or too big calendar file as the validation error of its field
+const uploadCalendar = (req, res, next) => calendarUpload(req, res, (err) => {
+  if (err instanceof multer.MulterError) {
+    const errorMessage = err.code === `LIMIT_FILE_SIZE` ? ValidateErrorMessage.FILE_SIZE : ValidateErrorMessage.CALENDAR;
+    next(new ValidationError([createErrorMessage(CalendarSettings.FIELD_NAME, errorMessage)]));
+    return;
+  }
+  next(err);
+});
 
-    if (!offerToSend) {
-      throw new NotFoundError(`Offer with the ${date} date can't be found`);
-    }
+const getCalendarEvents = (file) => {
+  const events = file ? parseCalendar(file.buffer.toString(`utf8`)) : void 0;
+
+  if (!events) {
+    throw new ValidationError([createErrorMessage(CalendarSettings.FIELD_NAME, ValidateErrorMessage.CALENDAR)]);
+  }
+
+  return events;
+};
+
+const findOfferByDate = async (router, dateParam) => {
+  const date = Number(dateParam);
+
+  if (!date) {
+    throw new IllegalArgumentError(`Request doesn't contain the date`);
+  }
+
+  const foundOffer = await router.offersStore.getOffer(date);
+
+  if (!foundOffer) {
+    throw new NotFoundError(`Offer with the ${date} date can't be found`);
+  }
+
+  return foundOffer;
+};
+
+const findOfferById = async (router, id) => {
+  const foundOffer = await router.offersStore.getOfferById(id);
+
+  if (!foundOffer) {
+    throw new NotFoundError(`Offer with the "${id}" id can't be found`);
+  }
+
+  return foundOffer;
+};
+
+// Validates received offer and replaces the found one keeping its date, images and author name
+const updateOffer = async (router, foundOffer, receivedOffer) => {
+  const validatedOffer = validate(Object.assign({}, receivedOffer, {name: foundOffer.author.name}));
+  const offerToSave = prepareForSaving(validatedOffer, {id: foundOffer.id, date: foundOffer.date, ownerId: foundOffer.ownerId});
+
+  if (foundOffer.author.avatar) {
+    offerToSave.author.avatar = foundOffer.author.avatar;
+  }
+  offerToSave.offer.photos = foundOffer.offer.photos || [];
+
+  await router.offersStore.updateOffer(foundOffer._id, offerToSave);
+
+  return offerToSave;
+};
+
+// Answers conditional requests with 304 when the stored checksum or upload date haven't changed
+const sendImage = (req, res, image) => {
+  const {contentType, checksum} = image.info.metadata || {};
+
+  res.header(`Content-Type`, contentType || image.info.contentType || DEFAULT_IMAGE_TYPE);
+  res.header(`Last-Modified`, new Date(image.info.uploadDate).toUTCString());
+
+  if (checksum) {
+    res.header(`ETag`, `"${checksum}"`);
+  }
+
+  if (req.fresh) {
+    image.stream.destroy();
+    res.status(StatusCodes.NOT_MODIFIED).end();
+    return;
+  }
+
+  res.header(`Content-Length`, image.info.length);
+  res.on(`error`, (err) => logger.error(err));
+  res.on(`end`, () => res.end());
+
+  const stream = image.stream;
+  stream.on(`error`, (err) => logger.error(err));
+  stream.on(`end`, () => res.end());
+  stream.pipe(res);
+};
 
-    if (doesAcceptHtml(req)) {
-      const htmlToSend = getPageTemplate(getOfferHtml(offerToSend));
+// Sets the offer resource routes under the path, which param is used by findOffer to get the offer
+const setOfferRoutes = (router, path, findOffer) => {
+  const getFoundOffer = (req) => findOffer(router, req.params.key);
 
-      res.send(htmlToSend);
-      return;
+  // The offer and its images can be changed only by its owner or an admin
+  const getOwnOffer = async (req) => {
+    const foundOffer = await getFoundOffer(req);
+    checkOfferOwner(req.user, foundOffer);
+    return foundOffer;
+  };
+
+  router.get(path, asyncMiddleware(async (req, res) => {
+    const offerToSend = await getFoundOffer(req);
+
+    await sendFormatted(req, res, {
+      json: () => Object.assign({}, offerToSend, {_id: void 0}),
+      html: () => getPageTemplate(getOfferHtml(offerToSend)),
+      [GEOJSON_FORMAT]: () => toFeature(offerToSend)
+    });
+  }));
+
+  router.put(path, requireUser, jsonParser, formParser, asyncMiddleware(async (req, res) => {
+    const foundOffer = await getOwnOffer(req);
+
+    res.send(await updateOffer(router, foundOffer, req.body));
+  }));
+
+  router.patch(path, requireUser, jsonParser, formParser, asyncMiddleware(async (req, res) => {
+    const foundOffer = await getOwnOffer(req);
+    const receivedOffer = Object.assign(getOfferFormData(foundOffer), req.body);
+
+    res.send(await updateOffer(router, foundOffer, receivedOffer));
+  }));
+
+  router.delete(path, requireUser, asyncMiddleware(async (req, res) => {
+    const foundOffer = await getOwnOffer(req);
+
+    await router.offersStore.removeOffer(foundOffer._id);
+    await removeOfferImages(router.avatarStore, router.previewStore, foundOffer._id);
+
+    if (foundOffer.id) {
+      await router.bookingsStore.removeOfferBookings(foundOffer.id);
     }
 
-    res.send(Object.assign({}, offerToSend, {_id: void 0}));
+    res.status(StatusCodes.NO_CONTENT).end();
   }));
 
-  router.get(`/:date/avatar`, asyncMiddleware(async (req, res) => {
-    const date = Number(req.params.date);
+  router.get(`${path}/avatar`, asyncMiddleware(async (req, res) => {
+    const foundOffer = await getFoundOffer(req);
 
-    if (!date) {
-      throw new IllegalArgumentError(`Request doesn't contain the date`);
+    const result = await getImage(router.avatarStore, foundOffer._id, req.query.size);
+
+    if (!result) {
+      throw new NotFoundError(`Avatar of the offer "${req.params.key}" can't be found`);
     }
 
-    const foundOffer = await router.offersStore.getOffer(date);
+    sendImage(req, res, result);
+  }));
 
-    if (!foundOffer) {
-      throw new NotFoundError(`Offer with the ${date} date can't be found`);
+  router.get(`${path}/calendar.ics`, asyncMiddleware(async (req, res) => {
+    const foundOffer = await getFoundOffer(req);
+    const bookings = await router.bookingsStore.getBookings(getBookedOfferId(foundOffer));
+
+    res.header(`Content-Type`, CalendarSettings.CONTENT_TYPE);
+    res.send(createCalendar(foundOffer, bookings));
+  }));
+
+  // Blocks the dates of the events from the uploaded .ics file of the other booking site
+  router.post(`${path}/calendar.ics`, requireUser, uploadCalendar, asyncMiddleware(async (req, res) => {
+    const foundOffer = await getOwnOffer(req);
+    getBookedOfferId(foundOffer);
+
+    const result = await importCalendar(router.bookingsStore, foundOffer, getCalendarEvents(req.file));
+
+    res.send({
+      imported: result.imported.map((it) => Object.assign({}, it, {_id: void 0})),
+      skipped: result.skipped
+    });
+  }));
+
+  router.get(`${path}/photos/:index`, asyncMiddleware(async (req, res) => {
+    const index = Number(req.params.index);
+
+    if (!Number.isInteger(index) || index < 0) {
+      throw new IllegalArgumentError(`Wrong photo index "${req.params.index}"`);
     }
 
-    const result = await router.avatarStore.get(foundOffer._id);
+    const foundOffer = await getFoundOffer(req);
+
+    const result = await getImage(router.previewStore, `${foundOffer._id}-${index}`, req.query.size);
 
     if (!result) {
-      throw new NotFoundError(`Avatar with date "${date}" can't be found`);
+      throw new NotFoundError(`Photo ${index} of the offer "${req.params.key}" can't be found`);
     }
 
-    res.header(`Content-Type`, `image/jpg`);
-    res.header(`Content-Length`, result.info.length);
-    res.on(`error`, (err) => logger.error(err));
-    res.on(`end`, () => res.end());
-
-    const stream = result.stream;
-    stream.on(`error`, (err) => logger(err));
-    stream.on(`end`, () => res.end());
-    stream.pipe(res);
+    sendImage(req, res, result);
   }));
+
+  setBookingsRoutes(router, path, getFoundOffer);
+};
+
+module.exports = (router) => {
+  setOfferRoutes(router, `/id/:key`, findOfferById);
+  // Offers used to be identified by their date, so these routes are kept for the old links
+  setOfferRoutes(router, `/:key`, findOfferByDate);
 };
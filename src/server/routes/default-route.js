@@ -1,27 +1,71 @@
 const express = require(`express`);
 const multer = require(`multer`);
-const toStream = require(`buffer-to-stream`);
 
 const IllegalArgumentError = require(`../errors/illegal-argument-error`);
+const {requireUser} = require(`../auth/authenticate`);
 const {getOfferHtml,
   getPageTemplate} = require(`./get-html-templates`);
 const {asyncMiddleware,
-  doesAcceptHtml,
-  getRandomArrayItem,
-  makeArray} = require(`../../utils/util-functions`);
-const {DEFAULT_PATH,
+  makeArray,
+  sendFormatted} = require(`../../utils/util-functions`);
+const {toFeatureCollection} = require(`./geojson`);
+const {createCsvStream} = require(`./offers-csv`);
+const {getAvailableOffersQuery,
+  getOffersSort} = require(`./get-offers-query`);
+const {CSV_FORMAT,
+  FormFields,
+  GEOJSON_FORMAT,
   OFFERS_LIMIT,
   OFFERS_SKIP,
-  NAMES} = require(`../server-settings`);
+  ThumbnailWidth,
+  UploadLimit,
+  ValidateErrorMessage} = require(`../server-settings`);
+const {saveImage} = require(`./offer-images`);
+const {REQUEST_SIZE_ERROR_CODE,
+  UploadStorage} = require(`./upload-storage`);
+const {prepareForSaving} = require(`./prepare-offer`);
 const validate = require(`./validate`);
+const {createErrorMessage} = validate;
+const ValidationError = require(`../errors/validation-error`);
 
 const jsonParser = express.json();
 
-const upload = multer({storage: multer.memoryStorage()}).fields([
-  {name: `avatar`, maxCount: 1},
-  {name: `preview`}
+const multerUpload = multer({
+  storage: new UploadStorage(UploadLimit.REQUEST_SIZE),
+  limits: {
+    fileSize: UploadLimit.FILE_SIZE,
+    files: UploadLimit.PREVIEWS + 1
+  }
+}).fields([
+  {name: FormFields.avatar, maxCount: 1},
+  {name: FormFields.preview, maxCount: UploadLimit.PREVIEWS}
 ]);
 
+const getUploadErrorMessage = (err) => {
+  switch (true) {
+    case err.code === `LIMIT_FILE_SIZE`:
+      return ValidateErrorMessage.FILE_SIZE;
+    case err.code === REQUEST_SIZE_ERROR_CODE:
+      return ValidateErrorMessage.REQUEST_SIZE;
+    case err.field === FormFields.avatar:
+      return ValidateErrorMessage.AVATAR_COUNT;
+    case err.field === FormFields.preview || err.code === `LIMIT_FILE_COUNT`:
+      return ValidateErrorMessage.PREVIEWS_COUNT;
+    default:
+      return ValidateErrorMessage.UNEXPECTED_FILE;
+  }
+};
+
+// Reports multer limits violations as validation errors of the uploaded fields
+const upload = (req, res, next) => multerUpload(req, res, (err) => {
+  if (err instanceof multer.MulterError) {
+    const fieldName = err.field || FormFields.preview;
+    next(new ValidationError([createErrorMessage(fieldName, getUploadErrorMessage(err))]));
+    return;
+  }
+  next(err);
+});
+
 const toPage = async (cursor, skip = OFFERS_SKIP, limit = OFFERS_LIMIT) => {
   const packet = await cursor.skip(skip).limit(limit).toArray();
   return {
@@ -32,78 +76,50 @@ const toPage = async (cursor, skip = OFFERS_SKIP, limit = OFFERS_LIMIT) => {
   };
 };
 
-const setAvatarUrl = (offerDate) => `${DEFAULT_PATH.substring(0)}/${offerDate}/avatar`;
-
-const prepareForSaving = (receivedOffer) => {
-  const [x, y] = receivedOffer.address.split(`,`);
-  const date = Math.floor(Date.now());
-
-  const offerToSave = {
-    author: {
-      name: receivedOffer.name,
-    },
-    offer: {
-      title: receivedOffer.title,
-      description: receivedOffer.description,
-      address: receivedOffer.address,
-      price: receivedOffer.price,
-      type: receivedOffer.type,
-      rooms: receivedOffer.rooms,
-      guests: receivedOffer.guests,
-      checkin: receivedOffer.checkin,
-      checkout: receivedOffer.checkout,
-      features: makeArray(receivedOffer.features),
-      photos: []
-    },
-    location: {
-      x: Number(x.trim()),
-      y: Number(y.trim())
-    },
-    date
-  };
+const getPageParams = ({limit = OFFERS_LIMIT, skip = OFFERS_SKIP}) => {
+  const limitNumber = Number(limit);
+  const skipNumber = Number(skip);
 
-  if (receivedOffer.avatar) {
-    offerToSave.author.avatar = setAvatarUrl(date);
+  if (isNaN(skipNumber) || isNaN(limitNumber)) {
+    throw new IllegalArgumentError(`Wrong request parameters "skip" or "limit"`);
   }
 
-  return offerToSave;
+  return {skipNumber, limitNumber};
 };
 
 module.exports = (router) => {
   router.get(``, asyncMiddleware(async (req, res) => {
-    const {limit = OFFERS_LIMIT, skip = OFFERS_SKIP} = req.query;
-    const limitNumber = Number(limit);
-    const skipNumber = Number(skip);
-
-    if (isNaN(skipNumber) || isNaN(limitNumber)) {
-      throw new IllegalArgumentError(`Wrong request parameters "skip" or "limit"`);
-    }
-
-    const offersToSend = await toPage(await router.offersStore.getAllOffers(), skipNumber, limitNumber);
-
-    if (doesAcceptHtml(req)) {
-      const offersHtmlTemplates = offersToSend.data.map((offer) => getOfferHtml(offer));
-
-      const offersTemplate = offersHtmlTemplates.reduce((accumulator, currentTemplate) => (accumulator + currentTemplate + `\n`), ``);
-      const htmlToSend = getPageTemplate(offersTemplate);
-
-      res.send(htmlToSend);
-      return;
-    }
-
-    res.send(offersToSend);
+    const {skipNumber, limitNumber} = getPageParams(req.query);
+
+    const offersQuery = await getAvailableOffersQuery(router.bookingsStore, req.query);
+    const offersSort = getOffersSort(req.query.sort);
+    const cursor = await router.offersStore.getAllOffers(offersQuery, offersSort);
+    const getPage = () => toPage(cursor, skipNumber, limitNumber);
+
+    await sendFormatted(req, res, {
+      json: getPage,
+      html: async () => {
+        const offersToSend = await getPage();
+        const offersHtmlTemplates = offersToSend.data.map((offer) => getOfferHtml(offer));
+        const offersTemplate = offersHtmlTemplates.reduce((accumulator, currentTemplate) => (accumulator + currentTemplate + `\n`), ``);
+
+        return getPageTemplate(offersTemplate);
+      },
+      [GEOJSON_FORMAT]: async () => toFeatureCollection(await getPage()),
+      // All the matching offers are exported unless the limit is set
+      [CSV_FORMAT]: () => createCsvStream(req.query.limit === undefined ? cursor.skip(skipNumber) : cursor.skip(skipNumber).limit(limitNumber))
+    });
   }));
 
 
-  router.post(``, jsonParser, upload, asyncMiddleware(async (req, res) => {
+  // Offer is stamped with the name and id of the authorized user instead of the posted name
+  router.post(``, requireUser, jsonParser, upload, asyncMiddleware(async (req, res) => {
     const body = req.body;
     const files = req.files;
     let avatar;
     let preview;
 
-    if (!body.name) {
-      body.name = getRandomArrayItem(NAMES);
-    }
+    body.name = req.user.name;
 
     if (files) {
       avatar = files[`avatar`] ? files[`avatar`][0] : void 0;
@@ -124,28 +140,33 @@ module.exports = (router) => {
       }));
     }
 
-    const validatedOffer = validate(body);
-    const offerToSave = prepareForSaving(validatedOffer);
+    const validatedOffer = validate(body, files);
+    const offerToSave = prepareForSaving(validatedOffer, {ownerId: req.user.id});
 
     const result = await router.offersStore.save(offerToSave);
     const {insertedId} = result;
 
     if (avatar) {
-      await router.avatarStore.save(insertedId, toStream(avatar.buffer));
+      await saveImage(router.avatarStore, insertedId, avatar, ThumbnailWidth.AVATAR);
     }
 
     if (preview) {
-      await preview.forEach((photo, index) => {
+      await Promise.all(preview.map((photo, index) => {
         const photoId = `${insertedId}-${index}`;
-        router.previewStore.save(photoId, toStream(photo.buffer));
-      });
+        return saveImage(router.previewStore, photoId, photo, ThumbnailWidth.PREVIEW);
+      }));
     }
 
     const offerToSend = validatedOffer;
     validatedOffer.features = makeArray(validatedOffer.features);
 
     validatedOffer.location = offerToSave.location;
+    validatedOffer.id = offerToSave.id;
+    validatedOffer.ownerId = offerToSave.ownerId;
 
     res.send(offerToSend);
   }));
 };
+
+module.exports.getPageParams = getPageParams;
+module.exports.toPage = toPage;
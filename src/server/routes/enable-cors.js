@@ -1,6 +1,9 @@
+const {ImplementedMethods} = require(`../server-settings`);
+
 const ALLOW_CORS = (req, res, next) => {
   res.header(`Access-Control-Allow-Origin`, `*`);
-  res.header(`Access-Control-Allow-Headers`, `Origin, X-Requested-With, Content-Type, Accept`);
+  res.header(`Access-Control-Allow-Headers`, `Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Api-Key`);
+  res.header(`Access-Control-Allow-Methods`, Object.values(ImplementedMethods).join(`, `));
   next();
 };
 
@@ -0,0 +1,18 @@
+const multer = require(`multer`);
+
+const {ValidateErrorMessage} = require(`../server-settings`);
+const {createErrorMessage} = require(`./validate`);
+const ValidationError = require(`../errors/validation-error`);
+
+const textFieldsParser = multer().none();
+
+// Parses the text fields of multipart/form-data and reports the sent file as the validation error of its field
+const formParser = (req, res, next) => textFieldsParser(req, res, (err) => {
+  if (err instanceof multer.MulterError) {
+    next(new ValidationError([createErrorMessage(err.field, ValidateErrorMessage.UNEXPECTED_FILE)]));
+    return;
+  }
+  next(err);
+});
+
+module.exports = formParser;
@@ -0,0 +1,31 @@
+const {registerFormat} = require(`../../utils/util-functions`);
+const {GEOJSON_FORMAT,
+  GEOJSON_MEDIA_TYPE} = require(`../server-settings`);
+
+registerFormat(GEOJSON_FORMAT, GEOJSON_MEDIA_TYPE);
+
+// Offer location becomes the point geometry, the offer itself and its author become the properties
+const toFeature = (offer) => ({
+  type: `Feature`,
+  id: offer.id,
+  geometry: offer.location ? {
+    type: `Point`,
+    coordinates: [offer.location.x, offer.location.y]
+  } : null,
+  properties: {
+    author: offer.author,
+    offer: offer.offer,
+    date: offer.date
+  }
+});
+
+module.exports.toFeature = toFeature;
+
+// Pagination fields are kept as the foreign members of the collection
+module.exports.toFeatureCollection = ({data, skip, limit, total}) => ({
+  type: `FeatureCollection`,
+  features: data.map(toFeature),
+  skip,
+  limit,
+  total
+});
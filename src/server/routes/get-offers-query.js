@@ -0,0 +1,181 @@
+const IllegalArgumentError = require(`../errors/illegal-argument-error`);
+
+const {COORDINATES_SEPARATOR,
+  FILTER_ANY_VALUE,
+  OFFER_FEATURES,
+  OFFER_TYPES,
+  PriceBand,
+  PriceBandLimit,
+  SORT_DESCENDING_PREFIX,
+  SortableFields} = require(`../server-settings`);
+
+const {makeArray} = require(`../../utils/util-functions`);
+const {parseBookingDate} = require(`./validate-booking`);
+
+const PRICE_BAND_QUERIES = {
+  [PriceBand.LOW]: {$lt: PriceBandLimit.LOW},
+  [PriceBand.MIDDLE]: {$gte: PriceBandLimit.LOW, $lt: PriceBandLimit.HIGH},
+  [PriceBand.HIGH]: {$gte: PriceBandLimit.HIGH}
+};
+
+const isFilterSet = (value) => value !== undefined && value !== `` && value !== FILTER_ANY_VALUE;
+
+const getIntegerFilter = (value, paramName) => {
+  const number = Number(value);
+
+  if (!Number.isInteger(number) || number < 0) {
+    throw new IllegalArgumentError(`Wrong request parameter "${paramName}"`);
+  }
+
+  return number;
+};
+
+// Parses "x,y"-like parameter into the list of the expected numbers count
+const getCoordinates = (value, count, paramName) => {
+  const values = typeof value === `string` ? value.split(COORDINATES_SEPARATOR) : [];
+  const coordinates = values.map((it) => (it.trim() ? Number(it) : NaN));
+
+  if (coordinates.length !== count || !coordinates.every((it) => Number.isFinite(it))) {
+    throw new IllegalArgumentError(`Wrong request parameter "${paramName}"`);
+  }
+
+  return coordinates;
+};
+
+// Offers near the point are sorted by the distance with 2d index, the bounding box is x1,y1,x2,y2 of any two corners
+const getLocationQuery = ({near, radius, bbox}) => {
+  if (isFilterSet(near) && isFilterSet(bbox)) {
+    throw new IllegalArgumentError(`Request parameters "near" and "bbox" can't be used together`);
+  }
+
+  if (isFilterSet(radius) && !isFilterSet(near)) {
+    throw new IllegalArgumentError(`Request parameter "radius" can be used only with "near"`);
+  }
+
+  if (isFilterSet(near)) {
+    const query = {$near: getCoordinates(near, 2, `near`)};
+
+    if (isFilterSet(radius)) {
+      const [maxDistance] = getCoordinates(radius, 1, `radius`);
+      if (maxDistance < 0) {
+        throw new IllegalArgumentError(`Wrong request parameter "radius"`);
+      }
+      query.$maxDistance = maxDistance;
+    }
+
+    return query;
+  }
+
+  if (isFilterSet(bbox)) {
+    const [x1, y1, x2, y2] = getCoordinates(bbox, 4, `bbox`);
+    return {$geoWithin: {$box: [[Math.min(x1, x2), Math.min(y1, y2)], [Math.max(x1, x2), Math.max(y1, y2)]]}};
+  }
+
+  return void 0;
+};
+
+const isAvailabilitySearch = ({from, to}) => isFilterSet(from) || isFilterSet(to);
+
+// Turns map filter form parameters into MongoDB query. Guests number is exact unless offers are searched for dates
+const getOffersQuery = ({type, price, rooms, guests, features, from, to, near, radius, bbox}) => {
+  const query = {};
+
+  if (isFilterSet(type)) {
+    if (!OFFER_TYPES.includes(type)) {
+      throw new IllegalArgumentError(`Wrong request parameter "type"`);
+    }
+    query[`offer.type`] = type;
+  }
+
+  if (isFilterSet(price)) {
+    if (!PRICE_BAND_QUERIES.hasOwnProperty(price)) {
+      throw new IllegalArgumentError(`Wrong request parameter "price"`);
+    }
+    query[`offer.price`] = PRICE_BAND_QUERIES[price];
+  }
+
+  if (isFilterSet(rooms)) {
+    query[`offer.rooms`] = getIntegerFilter(rooms, `rooms`);
+  }
+
+  if (isFilterSet(guests)) {
+    const guestsNumber = getIntegerFilter(guests, `guests`);
+    query[`offer.guests`] = isAvailabilitySearch({from, to}) ? {$gte: guestsNumber} : guestsNumber;
+  }
+
+  const requiredFeatures = makeArray(features);
+
+  if (requiredFeatures.length) {
+    if (!requiredFeatures.every((feature) => OFFER_FEATURES.includes(feature))) {
+      throw new IllegalArgumentError(`Wrong request parameter "features"`);
+    }
+    query[`offer.features`] = {$all: requiredFeatures};
+  }
+
+  const locationQuery = getLocationQuery({near, radius, bbox});
+
+  if (locationQuery) {
+    query.location = locationQuery;
+  }
+
+  return query;
+};
+
+module.exports.getOffersQuery = getOffersQuery;
+
+// Returns "from" and "to" YYYY-MM-DD dates of the availability search or undefined if they aren't set
+const getBookingPeriod = ({from, to}) => {
+  if (!isAvailabilitySearch({from, to})) {
+    return void 0;
+  }
+
+  const fromDate = parseBookingDate(from);
+  const toDate = parseBookingDate(to);
+
+  if (fromDate === undefined || toDate === undefined || toDate <= fromDate) {
+    throw new IllegalArgumentError(`Wrong request parameters "from" or "to". Dates should be YYYY-MM-DD and "to" should be later than "from"`);
+  }
+
+  return {from, to};
+};
+
+module.exports.getBookingPeriod = getBookingPeriod;
+
+// Adds the exclusion of the offers booked for the requested period to the filters query
+const getAvailableOffersQuery = async (bookingsStore, params) => {
+  const offersQuery = getOffersQuery(params);
+  const bookingPeriod = getBookingPeriod(params);
+
+  if (bookingPeriod) {
+    const bookedOfferIds = await bookingsStore.getBookedOfferIds(bookingPeriod.from, bookingPeriod.to);
+    offersQuery.id = {$nin: bookedOfferIds};
+  }
+
+  return offersQuery;
+};
+
+module.exports.getAvailableOffersQuery = getAvailableOffersQuery;
+
+// Turns "sort" parameter like "-date" or "price,-rooms" into MongoDB sort specification
+const getOffersSort = (sort) => {
+  if (!sort) {
+    return void 0;
+  }
+
+  if (typeof sort !== `string`) {
+    throw new IllegalArgumentError(`Wrong request parameter "sort"`);
+  }
+
+  return sort.split(`,`).reduce((accumulator, field) => {
+    const isDescending = field.startsWith(SORT_DESCENDING_PREFIX);
+    const fieldName = isDescending ? field.slice(SORT_DESCENDING_PREFIX.length) : field;
+
+    if (!SortableFields.hasOwnProperty(fieldName)) {
+      throw new IllegalArgumentError(`Offers can't be sorted by "${fieldName}". Sortable fields: ${Object.keys(SortableFields).join(`, `)}`);
+    }
+
+    return Object.assign(accumulator, {[SortableFields[fieldName]]: isDescending ? -1 : 1});
+  }, {});
+};
+
+module.exports.getOffersSort = getOffersSort;
@@ -0,0 +1,30 @@
+const express = require(`express`);
+
+const {asyncMiddleware} = require(`../../utils/util-functions`);
+const {authenticate,
+  authenticateApiKey,
+  requireUser} = require(`../auth/authenticate`);
+const enableCors = require(`./enable-cors`);
+const {getPageParams,
+  toPage} = require(`./default-route`);
+const {getOffersSort} = require(`./get-offers-query`);
+const setErrorRoute = require(`./error`);
+
+// Resources of the authorized user
+module.exports = (offersStore, apiKeysStore) => {
+  const meRouter = new express.Router();
+
+  meRouter.use(authenticateApiKey(apiKeysStore), authenticate, requireUser);
+
+  meRouter.get(`/offers`, asyncMiddleware(async (req, res) => {
+    const {skipNumber, limitNumber} = getPageParams(req.query);
+    const cursor = await offersStore.getAllOffers({ownerId: req.user.id}, getOffersSort(req.query.sort));
+
+    res.send(await toPage(cursor, skipNumber, limitNumber));
+  }));
+
+  enableCors(meRouter);
+  setErrorRoute(meRouter);
+
+  return meRouter;
+};
@@ -0,0 +1,179 @@
+const {CalendarSettings} = require(`../server-settings`);
+const {generateId} = require(`../../utils/util-functions`);
+const {queueOfferTask} = require(`./offer-queue`);
+const {getBookingTimes,
+  getTodayTimestamp,
+  parseBookingDate} = require(`./validate-booking`);
+
+const LINE_BREAK = `\r\n`;
+const MAX_LINE_LENGTH = 75;
+const FOLDED_LINE_REGEXP = /\r?\n[ \t]/g;
+const LINE_REGEXP = /^([^:;]+)((?:;[^:]*)?):(.*)$/;
+const CALENDAR_DATE_REGEXP = /^(\d{4})(\d{2})(\d{2})/;
+const MS_IN_DAY = 24 * 60 * 60 * 1000;
+
+// Folds content lines longer than 75 octets as RFC 5545 requires
+const foldLine = (line) => {
+  const chunks = [];
+  let chunk = ``;
+
+  for (const char of line) {
+    const maxLength = chunks.length ? MAX_LINE_LENGTH - 1 : MAX_LINE_LENGTH;
+
+    if (Buffer.byteLength(chunk + char) > maxLength) {
+      chunks.push(chunk);
+      chunk = ``;
+    }
+    chunk += char;
+  }
+
+  return [...chunks, chunk].join(`${LINE_BREAK} `);
+};
+
+const escapeText = (text) => String(text)
+  .replace(/\\/g, `\\\\`)
+  .replace(/;/g, `\\;`)
+  .replace(/,/g, `\\,`)
+  .replace(/\r?\n/g, `\\n`);
+
+const unescapeText = (text) => text.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === `n` ? `\n` : char));
+
+// YYYY-MM-DD booking date turns into YYYYMMDD calendar date and back
+const toCalendarDate = (date) => date.replace(/-/g, ``);
+
+const fromCalendarDate = (value) => {
+  const match = value.match(CALENDAR_DATE_REGEXP);
+  return match ? match.slice(1).join(`-`) : void 0;
+};
+
+const toCalendarTimestamp = (timestamp) => new Date(timestamp).toISOString().replace(/[-:]|\.\d{3}/g, ``);
+
+const getEventLines = (booking) => [
+  `BEGIN:VEVENT`,
+  `UID:${booking.uid || `${booking.id}@${CalendarSettings.UID_DOMAIN}`}`,
+  `DTSTAMP:${toCalendarTimestamp(booking.date || Date.now())}`,
+  `DTSTART;VALUE=DATE:${toCalendarDate(booking.checkin)}`,
+  `DTEND;VALUE=DATE:${toCalendarDate(booking.checkout)}`,
+  `SUMMARY:${escapeText(booking.summary || CalendarSettings.BOOKED_SUMMARY)}`,
+  `TRANSP:OPAQUE`,
+  `END:VEVENT`
+];
+
+// Every booking is exported as an all-day event ending on the checkout date, which is not included
+const createCalendar = (offer, bookings) => [
+  `BEGIN:VCALENDAR`,
+  `VERSION:2.0`,
+  `PRODID:${CalendarSettings.PRODUCT_ID}`,
+  `CALSCALE:GREGORIAN`,
+  `METHOD:PUBLISH`,
+  `X-WR-CALNAME:${escapeText(offer.offer.title)}`,
+  ...bookings.reduce((accumulator, booking) => [...accumulator, ...getEventLines(booking)], []),
+  `END:VCALENDAR`
+].map(foldLine).join(LINE_BREAK) + LINE_BREAK;
+
+module.exports.createCalendar = createCalendar;
+
+const parseLine = (line) => {
+  const match = line.match(LINE_REGEXP);
+  return match ? {name: match[1].toUpperCase(), value: match[3]} : void 0;
+};
+
+// Returns events of the calendar as {uid, summary, checkin, checkout} or undefined if the text isn't a calendar.
+// Events without the end date last one day
+const parseCalendar = (text) => {
+  const lines = text.replace(FOLDED_LINE_REGEXP, ``).split(/\r?\n/).map(parseLine).filter((it) => it);
+
+  if (!lines.length || lines[0].name !== `BEGIN` || lines[0].value !== `VCALENDAR`) {
+    return void 0;
+  }
+
+  const events = [];
+  let event;
+
+  lines.forEach(({name, value}) => {
+    switch (true) {
+      case name === `BEGIN` && value === `VEVENT`:
+        event = {};
+        break;
+      case name === `END` && value === `VEVENT` && !!event:
+        events.push(event);
+        event = void 0;
+        break;
+      case !event:
+        break;
+      case name === `UID`:
+        event.uid = value;
+        break;
+      case name === `SUMMARY`:
+        event.summary = unescapeText(value);
+        break;
+      case name === `DTSTART`:
+        event.checkin = fromCalendarDate(value);
+        break;
+      case name === `DTEND`:
+        event.checkout = fromCalendarDate(value);
+        break;
+    }
+  });
+
+  return events;
+};
+
+module.exports.parseCalendar = parseCalendar;
+
+const getNextDate = (date) => new Date(parseBookingDate(date) + MS_IN_DAY).toISOString().slice(0, 10);
+
+// Returns the reason why the event dates can't be blocked or undefined if they can
+const getSkipReason = (event, bookings) => {
+  switch (true) {
+    case !parseBookingDate(event.checkin) || !parseBookingDate(event.checkout):
+      return `Event has no dates`;
+    case event.checkout <= event.checkin:
+      return `Event ends before it starts`;
+    case parseBookingDate(event.checkout) <= getTodayTimestamp():
+      return `Event is in the past`;
+    case bookings.some((it) => it.uid && it.uid === event.uid):
+      return `Event is already imported`;
+    case bookings.some((it) => it.checkin < event.checkout && event.checkin < it.checkout):
+      return `Offer is already booked for these dates`;
+    default:
+      return void 0;
+  }
+};
+
+// Blocks the offer dates of the calendar events, the events imported before and the ones overlapping bookings are skipped
+const importCalendar = (bookingsStore, offer, events) => queueOfferTask(offer.id, async () => {
+  let bookings = await bookingsStore.getBookings(offer.id);
+  const imported = [];
+  const skipped = [];
+
+  for (const it of events) {
+    const event = Object.assign({}, it, {checkout: it.checkout || (parseBookingDate(it.checkin) && getNextDate(it.checkin))});
+    const reason = getSkipReason(event, bookings);
+
+    if (reason) {
+      skipped.push({uid: event.uid, checkin: event.checkin, checkout: event.checkout, reason});
+      continue;
+    }
+
+    const booking = Object.assign({
+      id: generateId(),
+      offerId: offer.id,
+      date: Date.now(),
+      checkin: event.checkin,
+      checkout: event.checkout,
+      guests: 0,
+      uid: event.uid,
+      summary: event.summary || CalendarSettings.BLOCKED_SUMMARY,
+      blocked: true
+    }, getBookingTimes(offer, event.checkin, event.checkout));
+
+    await bookingsStore.save(booking);
+    bookings = [...bookings, booking];
+    imported.push(booking);
+  }
+
+  return {imported, skipped};
+});
+
+module.exports.importCalendar = importCalendar;
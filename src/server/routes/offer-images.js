@@ -0,0 +1,58 @@
+const toStream = require(`buffer-to-stream`);
+
+const createThumbnail = require(`../store/create-thumbnail`);
+const IllegalArgumentError = require(`../errors/illegal-argument-error`);
+const {ImageSize,
+  THUMBNAIL_SUFFIX} = require(`../server-settings`);
+
+const getImageMetadata = (file) => ({
+  contentType: file.mimetype,
+  originalName: file.originalname
+});
+
+const getThumbnailName = (filename) => `${filename}${THUMBNAIL_SUFFIX}`;
+
+module.exports.getThumbnailName = getThumbnailName;
+
+// Saves uploaded image and its thumbnail next to it
+const saveImage = async (store, filename, file, thumbnailWidth) => {
+  await store.save(filename, toStream(file.buffer), getImageMetadata(file));
+
+  const thumbnail = await createThumbnail(file, thumbnailWidth);
+
+  if (thumbnail) {
+    await store.save(getThumbnailName(filename), toStream(thumbnail.buffer), getImageMetadata(thumbnail));
+  }
+};
+
+module.exports.saveImage = saveImage;
+
+// Gets image of the size requested in "size" query parameter, thumbnail falls back to the original
+const getImage = async (store, filename, size = ImageSize.ORIGINAL) => {
+  if (!Object.values(ImageSize).includes(size)) {
+    throw new IllegalArgumentError(`Wrong request parameter "size". It should be one of: ${Object.values(ImageSize).join(`, `)}`);
+  }
+
+  if (size === ImageSize.THUMB) {
+    const thumbnail = await store.get(getThumbnailName(filename));
+
+    if (thumbnail) {
+      return thumbnail;
+    }
+  }
+
+  return store.get(filename);
+};
+
+module.exports.getImage = getImage;
+
+const getPreviewsPattern = (offerId) => new RegExp(`^${offerId}-\\d+(${THUMBNAIL_SUFFIX})?$`);
+
+module.exports.getPreviewsPattern = getPreviewsPattern;
+
+// Removes the avatar, the photos and their thumbnails of the offer by its stored _id
+module.exports.removeOfferImages = async (avatarStore, previewStore, storedId) => {
+  await avatarStore.remove(storedId);
+  await avatarStore.remove(getThumbnailName(storedId));
+  await previewStore.remove(getPreviewsPattern(storedId));
+};
@@ -0,0 +1,19 @@
+const offerQueues = new Map();
+
+// Runs the tasks of the same offer one by one, so the concurrent bookings and calendar imports
+// can't both pass the overlapping check
+const queueOfferTask = (offerId, task) => {
+  const previous = offerQueues.get(offerId) || Promise.resolve();
+  const next = previous.then(task);
+  const queued = next.catch(() => {});
+
+  offerQueues.set(offerId, queued);
+  queued.then(() => {
+    if (offerQueues.get(offerId) === queued) {
+      offerQueues.delete(offerId);
+    }
+  });
+  return next;
+};
+
+module.exports.queueOfferTask = queueOfferTask;
@@ -0,0 +1,80 @@
+const {Transform} = require(`stream`);
+
+const csv = require(`../../utils/csv`);
+const {registerFormat} = require(`../../utils/util-functions`);
+const {CSV_FORMAT,
+  CSV_LIST_SEPARATOR,
+  CSV_MEDIA_TYPE} = require(`../server-settings`);
+
+registerFormat(CSV_FORMAT, CSV_MEDIA_TYPE);
+
+const joinList = (list) => (list || []).join(CSV_LIST_SEPARATOR);
+
+const splitList = (value) => (value ? value.split(CSV_LIST_SEPARATOR).map((it) => it.trim()).filter((it) => it) : []);
+
+// Columns are named after the form fields, so the imported rows are validated as the posted forms.
+// Id, date, avatar, photos and location are exported only, the imported offers get their own ones
+const CSV_COLUMNS = [
+  {name: `id`, get: (it) => it.id},
+  {name: `date`, get: (it) => it.date},
+  {name: `name`, get: (it) => it.author.name, set: (value) => value},
+  {name: `avatar`, get: (it) => it.author.avatar},
+  {name: `title`, get: (it) => it.offer.title, set: (value) => value},
+  {name: `description`, get: (it) => it.offer.description, set: (value) => value},
+  {name: `address`, get: (it) => it.offer.address, set: (value) => value},
+  {name: `price`, get: (it) => it.offer.price, set: (value) => value},
+  {name: `type`, get: (it) => it.offer.type, set: (value) => value},
+  {name: `rooms`, get: (it) => it.offer.rooms, set: (value) => value},
+  {name: `guests`, get: (it) => it.offer.guests, set: (value) => value},
+  {name: `checkin`, get: (it) => it.offer.checkin, set: (value) => value},
+  {name: `checkout`, get: (it) => it.offer.checkout, set: (value) => value},
+  {name: `features`, get: (it) => joinList(it.offer.features), set: splitList},
+  {name: `photos`, get: (it) => joinList(it.offer.photos)},
+  {name: `x`, get: (it) => it.location && it.location.x},
+  {name: `y`, get: (it) => it.location && it.location.y}
+];
+
+const toCsvLine = (offer) => csv.formatLine(CSV_COLUMNS.map((column) => column.get(offer)));
+
+module.exports.toCsvLine = toCsvLine;
+
+// Streams the cursor offers as CSV lines after the header one
+const createCsvStream = (cursor) => {
+  const csvStream = new Transform({
+    writableObjectMode: true,
+    transform(offer, encoding, callback) {
+      callback(null, toCsvLine(offer));
+    }
+  });
+  const offersStream = cursor.stream();
+
+  csvStream.push(csv.formatLine(CSV_COLUMNS.map((column) => column.name)));
+  offersStream.on(`error`, (err) => csvStream.destroy(err));
+
+  return offersStream.pipe(csvStream);
+};
+
+module.exports.createCsvStream = createCsvStream;
+
+// Turns CSV text into the form data of the offers with their row numbers, the header is the first row.
+// Unknown and export only columns are skipped as well as the empty rows
+const parseOffersCsv = (text) => {
+  const [header = [], ...records] = csv.parse(text);
+  const columns = header.map((name) => CSV_COLUMNS.find((column) => column.name === name.trim() && column.set));
+
+  return records
+    .map((record, index) => ({
+      row: index + 2,
+      formData: columns.reduce((formData, column, fieldIndex) => {
+        const value = record[fieldIndex] === undefined ? void 0 : csv.unescapeFormula(record[fieldIndex]);
+
+        if (column && value !== undefined && value !== ``) {
+          formData[column.name] = column.set(value);
+        }
+        return formData;
+      }, {})
+    }))
+    .filter((it) => Object.keys(it.formData).length);
+};
+
+module.exports.parseOffersCsv = parseOffersCsv;
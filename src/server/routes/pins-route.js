@@ -0,0 +1,54 @@
+const crypto = require(`crypto`);
+const {promisify} = require(`util`);
+const zlib = require(`zlib`);
+
+const {asyncMiddleware} = require(`../../utils/util-functions`);
+const {getAvailableOffersQuery,
+  getOffersSort} = require(`./get-offers-query`);
+const {CHECKSUM_ALGORITHM,
+  GZIP_ENCODING,
+  PINS_CACHE_CONTROL,
+  PINS_PROJECTION,
+  StatusCodes} = require(`../server-settings`);
+
+const gzip = promisify(zlib.gzip);
+
+const toPin = (offer) => ({
+  id: offer.id,
+  location: offer.location,
+  type: offer.offer.type,
+  price: offer.offer.price
+});
+
+// Sends all the offers matching the list filters as compact pins. ETag is the checksum of the pins,
+// the gzipped representation gets its own one
+module.exports = (router) => {
+  router.get(`/pins`, asyncMiddleware(async (req, res) => {
+    const offersQuery = await getAvailableOffersQuery(router.bookingsStore, req.query);
+    const cursor = await router.offersStore.getAllOffers(offersQuery, getOffersSort(req.query.sort), PINS_PROJECTION);
+    const pins = (await cursor.toArray()).map(toPin);
+
+    const body = Buffer.from(JSON.stringify(pins));
+    const checksum = crypto.createHash(CHECKSUM_ALGORITHM).update(body).digest(`hex`);
+    const isGzipped = req.acceptsEncodings(GZIP_ENCODING) === GZIP_ENCODING;
+
+    res.header(`Content-Type`, `application/json; charset=utf-8`);
+    res.header(`Cache-Control`, PINS_CACHE_CONTROL);
+    res.header(`Vary`, `Accept-Encoding`);
+    res.header(`ETag`, isGzipped ? `"${checksum}-${GZIP_ENCODING}"` : `"${checksum}"`);
+
+    if (req.fresh) {
+      res.status(StatusCodes.NOT_MODIFIED).end();
+      return;
+    }
+
+    if (isGzipped) {
+      res.header(`Content-Encoding`, GZIP_ENCODING);
+    }
+
+    const payload = isGzipped ? await gzip(body) : body;
+
+    res.header(`Content-Length`, payload.length);
+    res.end(payload);
+  }));
+};
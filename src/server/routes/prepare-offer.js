@@ -0,0 +1,66 @@
+const {DEFAULT_PATH} = require(`../server-settings`);
+const {generateId,
+  makeArray} = require(`../../utils/util-functions`);
+
+const setAvatarUrl = (offerId) => `${DEFAULT_PATH}/id/${offerId}/avatar`;
+
+const setPhotoUrl = (offerId, index) => `${DEFAULT_PATH}/id/${offerId}/photos/${index}`;
+
+// New offers get generated id and date, updated ones keep theirs and their owner id
+const prepareForSaving = (receivedOffer, {id = generateId(), date = Math.floor(Date.now()), ownerId} = {}) => {
+  const [x, y] = receivedOffer.address.split(`,`);
+
+  const offerToSave = {
+    author: {
+      name: receivedOffer.name,
+    },
+    offer: {
+      title: receivedOffer.title,
+      description: receivedOffer.description,
+      address: receivedOffer.address,
+      price: Number(receivedOffer.price),
+      type: receivedOffer.type,
+      rooms: Number(receivedOffer.rooms),
+      guests: receivedOffer.guests === undefined ? receivedOffer.guests : Number(receivedOffer.guests),
+      checkin: receivedOffer.checkin,
+      checkout: receivedOffer.checkout,
+      features: makeArray(receivedOffer.features),
+      photos: makeArray(receivedOffer.preview).map((it, index) => setPhotoUrl(id, index))
+    },
+    location: {
+      x: Number(x.trim()),
+      y: Number(y.trim())
+    },
+    date,
+    id
+  };
+
+  if (receivedOffer.avatar) {
+    offerToSave.author.avatar = setAvatarUrl(id);
+  }
+
+  if (ownerId) {
+    offerToSave.ownerId = ownerId;
+  }
+
+  return offerToSave;
+};
+
+module.exports.prepareForSaving = prepareForSaving;
+
+// Turns saved offer back into the flat form fields, so it could be patched and validated again
+const getOfferFormData = (savedOffer) => ({
+  name: savedOffer.author.name,
+  title: savedOffer.offer.title,
+  description: savedOffer.offer.description,
+  address: savedOffer.offer.address,
+  price: savedOffer.offer.price,
+  type: savedOffer.offer.type,
+  rooms: savedOffer.offer.rooms,
+  guests: savedOffer.offer.guests,
+  checkin: savedOffer.offer.checkin,
+  checkout: savedOffer.offer.checkout,
+  features: savedOffer.offer.features
+});
+
+module.exports.getOfferFormData = getOfferFormData;
@@ -0,0 +1,55 @@
+const express = require(`express`);
+
+const {ApiKeySettings,
+  RateLimitSettings,
+  READ_METHODS} = require(`../server-settings`);
+const {asyncMiddleware} = require(`../../utils/util-functions`);
+const {hashApiKey} = require(`../auth/api-keys`);
+const setErrorRoute = require(`./error`);
+const TooManyRequestsError = require(`../errors/too-many-requests-error`);
+
+const RateLimitHeaders = {
+  LIMIT: `RateLimit-Limit`,
+  REMAINING: `RateLimit-Remaining`,
+  RESET: `RateLimit-Reset`,
+  RETRY_AFTER: `Retry-After`
+};
+
+// Requests with the valid API key are limited by the key, the other ones by the client IP,
+// so the random keys don't get fresh buckets. Reads and writes have separate buckets
+const getBucketId = async (req, apiKeysStore) => {
+  const key = req.get(ApiKeySettings.HEADER);
+  const hash = key ? hashApiKey(key) : void 0;
+  const keyData = hash ? await apiKeysStore.getKey(hash) : void 0;
+  const client = keyData && !keyData.revoked ? `key:${hash}` : `ip:${req.ip}`;
+  const operation = READ_METHODS.includes(req.method) ? `read` : `write`;
+
+  return `${operation}:${client}`;
+};
+
+const getBudget = (req, settings) => (READ_METHODS.includes(req.method) ? settings.READ : settings.WRITE);
+
+// Token-bucket rate limiter. The router has its own error route, as it's used before the other ones
+module.exports = (rateLimitStore, apiKeysStore, settings = RateLimitSettings) => {
+  const rateLimitRouter = new express.Router();
+
+  rateLimitRouter.use(asyncMiddleware(async (req, res, next) => {
+    const budget = getBudget(req, settings);
+    const result = await rateLimitStore.consume(await getBucketId(req, apiKeysStore), budget, Date.now());
+
+    res.header(RateLimitHeaders.LIMIT, budget.CAPACITY);
+    res.header(RateLimitHeaders.REMAINING, result.remaining);
+    res.header(RateLimitHeaders.RESET, result.reset);
+
+    if (!result.allowed) {
+      res.header(RateLimitHeaders.RETRY_AFTER, result.retryAfter);
+      throw new TooManyRequestsError(`Too many requests, retry in ${result.retryAfter} seconds`);
+    }
+
+    next();
+  }));
+
+  setErrorRoute(rateLimitRouter);
+
+  return rateLimitRouter;
+};
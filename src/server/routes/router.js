@@ -1,21 +1,29 @@
 const express = require(`express`);
 
+const {authenticate,
+  authenticateApiKey} = require(`../auth/authenticate`);
+
 const setDefaultRoute = require(`./default-route`);
 const setDateRoute = require(`./date-route`);
+const setPinsRoute = require(`./pins-route`);
 const setErrorRoute = require(`./error`);
 const enableCors = require(`./enable-cors`);
 
-const offersRouter = new express.Router();
-
-setDefaultRoute(offersRouter);
-setDateRoute(offersRouter);
-enableCors(offersRouter);
-setErrorRoute(offersRouter);
-
+module.exports = (offersStore, avatarStore, previewStore, bookingsStore, apiKeysStore) => {
+  const offersRouter = new express.Router();
 
-module.exports = (offersStore, avatarStore, previewStore) => {
   offersRouter.offersStore = offersStore;
   offersRouter.avatarStore = avatarStore;
   offersRouter.previewStore = previewStore;
+  offersRouter.bookingsStore = bookingsStore;
+
+  offersRouter.use(authenticateApiKey(apiKeysStore), authenticate);
+  setDefaultRoute(offersRouter);
+  // Should be set before the date routes, otherwise "pins" is taken for the offer date
+  setPinsRoute(offersRouter);
+  setDateRoute(offersRouter);
+  enableCors(offersRouter);
+  setErrorRoute(offersRouter);
+
   return offersRouter;
 };
@@ -0,0 +1,51 @@
+const multer = require(`multer`);
+
+const REQUEST_SIZE_ERROR_CODE = `LIMIT_REQUEST_SIZE`;
+
+module.exports.REQUEST_SIZE_ERROR_CODE = REQUEST_SIZE_ERROR_CODE;
+
+const uploadedSizes = new WeakMap();
+
+// Multer memory storage which stops the upload as soon as all the files of the request exceed the size limit,
+// so the rest of the body isn't buffered
+class UploadStorage {
+  constructor(requestSize) {
+    this.requestSize = requestSize;
+  }
+
+  _handleFile(req, file, cb) {
+    const chunks = [];
+    let isExceeded = false;
+
+    file.stream
+      .on(`data`, (chunk) => {
+        if (isExceeded) {
+          return;
+        }
+
+        const uploadedSize = (uploadedSizes.get(req) || 0) + chunk.length;
+        uploadedSizes.set(req, uploadedSize);
+
+        if (uploadedSize > this.requestSize) {
+          isExceeded = true;
+          cb(new multer.MulterError(REQUEST_SIZE_ERROR_CODE, file.fieldname));
+          return;
+        }
+
+        chunks.push(chunk);
+      })
+      .on(`end`, () => {
+        if (!isExceeded) {
+          const buffer = Buffer.concat(chunks);
+          cb(null, {buffer, size: buffer.length});
+        }
+      });
+  }
+
+  _removeFile(req, file, cb) {
+    delete file.buffer;
+    cb(null);
+  }
+}
+
+module.exports.UploadStorage = UploadStorage;
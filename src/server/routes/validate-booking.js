@@ -0,0 +1,113 @@
+const ValidationError = require(`../errors/validation-error`);
+
+const {BOOKING_DATE_REGEXP,
+  DEFAULT_CHECK_TIME,
+  FormFields,
+  NOT_FOR_GUESTS_ROOMS,
+  ValidateErrorMessage} = require(`../server-settings`);
+const {createErrorMessage} = require(`./validate`);
+
+const MS_IN_MINUTE = 60 * 1000;
+const MINUTES_IN_HOUR = 60;
+
+// Returns UTC timestamp of the YYYY-MM-DD date midnight or undefined for the wrong date
+const parseBookingDate = (value) => {
+  const match = typeof value === `string` ? value.match(BOOKING_DATE_REGEXP) : null;
+
+  if (!match) {
+    return void 0;
+  }
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const timestamp = Date.UTC(year, month - 1, day);
+  const date = new Date(timestamp);
+
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? timestamp : void 0;
+};
+
+module.exports.parseBookingDate = parseBookingDate;
+
+const getTimeOffset = (time = DEFAULT_CHECK_TIME) => {
+  const [hours, minutes] = time.split(`:`).map(Number);
+  return (hours * MINUTES_IN_HOUR + minutes) * MS_IN_MINUTE;
+};
+
+// Booking starts at the offer checkin hour and ends at its checkout one
+const getBookingTimes = (offer, checkin, checkout) => ({
+  start: parseBookingDate(checkin) + getTimeOffset(offer.offer.checkin),
+  end: parseBookingDate(checkout) + getTimeOffset(offer.offer.checkout)
+});
+
+module.exports.getBookingTimes = getBookingTimes;
+
+const getTodayTimestamp = () => {
+  const now = new Date();
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+};
+
+module.exports.getTodayTimestamp = getTodayTimestamp;
+
+const validateBookingDate = (value, fieldName, errorsStore) => {
+  if (!value) {
+    return [...errorsStore, createErrorMessage(fieldName)];
+  }
+
+  const timestamp = parseBookingDate(value);
+
+  if (timestamp === undefined) {
+    return [...errorsStore, createErrorMessage(fieldName, ValidateErrorMessage.BOOKING_DATE)];
+  }
+  if (timestamp < getTodayTimestamp()) {
+    return [...errorsStore, createErrorMessage(fieldName, ValidateErrorMessage.BOOKING_PAST_DATE)];
+  }
+  return errorsStore;
+};
+
+// Offers saved before the guests were required take as many guests as the form lets their rooms take
+const getOfferCapacity = ({offer}) => {
+  if (offer.guests !== undefined) {
+    return Number(offer.guests);
+  }
+
+  const rooms = Number(offer.rooms);
+  return Number.isInteger(rooms) && rooms !== NOT_FOR_GUESTS_ROOMS ? rooms : 0;
+};
+
+const validateGuests = (guests, capacity, errorsStore) => {
+  const guestsNumber = Number(guests);
+
+  if (guests === undefined || guests === ``) {
+    return [...errorsStore, createErrorMessage(FormFields.guests)];
+  }
+  if (!Number.isInteger(guestsNumber) || guestsNumber < 1 || guestsNumber > capacity) {
+    return [...errorsStore, createErrorMessage(FormFields.guests, `${ValidateErrorMessage.BOOKING_GUESTS} ${capacity}`)];
+  }
+  return errorsStore;
+};
+
+// Validates booking against the offer capacity
+const validateBooking = (data, offer) => {
+  const {checkin, checkout, guests} = data;
+  let errors = [];
+
+  errors = validateBookingDate(checkin, FormFields.checkin, errors);
+  errors = validateBookingDate(checkout, FormFields.checkout, errors);
+
+  if (!errors.length && parseBookingDate(checkout) <= parseBookingDate(checkin)) {
+    errors = [...errors, createErrorMessage(FormFields.checkout, ValidateErrorMessage.BOOKING_CHECKOUT)];
+  }
+
+  errors = validateGuests(guests, getOfferCapacity(offer), errors);
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+
+  return Object.assign({
+    checkin,
+    checkout,
+    guests: Number(guests)
+  }, getBookingTimes(offer, checkin, checkout));
+};
+
+module.exports.validateBooking = validateBooking;
@@ -1,13 +1,21 @@
 const ValidationError = require(`../errors/validation-error`);
 
-const {FormFields,
+const {ADDRESS_REGEXP,
+  FormFields,
   CHECK_IN_OUT_REGEXP,
+  GuestsQuantity,
+  MapBounds,
   MAX_ADDRESS_LENGTH,
+  MAX_DESCRIPTION_LENGTH,
+  NOT_FOR_GUESTS_ROOMS,
   OFFER_FEATURES,
   OFFER_TYPES,
   Price,
   RoomsQuantity,
+  SniffedImageTypes,
   TitleLength,
+  TypeMinPrice,
+  UploadLimit,
   ValidateErrorMessage} = require(`../server-settings`);
 
 const {makeArray} = require(`../../utils/util-functions`);
@@ -20,6 +28,26 @@ const createErrorMessage = (field, message = ValidateErrorMessage.REQUIRED) => (
 
 const isAddressValid = (address) => typeof address === `string` && address.length <= MAX_ADDRESS_LENGTH;
 
+const isWithinRange = (value, {MIN, MAX}) => value >= MIN && value <= MAX;
+
+const isAddressInMap = (address) => {
+  const match = address.match(ADDRESS_REGEXP);
+  return !!match && isWithinRange(Number(match[1]), MapBounds.X) && isWithinRange(Number(match[2]), MapBounds.Y);
+};
+
+const isDescriptionValid = (description) => typeof description === `string` && description.length <= MAX_DESCRIPTION_LENGTH;
+
+// Guests come as numbers in JSON and as strings in form data, the empty string isn't read as 0
+const isGuestsFieldValid = (guests) => (typeof guests === `number` || (typeof guests === `string` && guests.trim() !== ``)) &&
+  Number.isInteger(Number(guests)) && isWithinRange(Number(guests), GuestsQuantity);
+
+const isCapacityValid = (rooms, guests) => (rooms === NOT_FOR_GUESTS_ROOMS ? guests === 0 : guests >= 1 && guests <= rooms);
+
+const getMinutes = (time) => {
+  const [hours, minutes] = time.split(`:`);
+  return Number(hours) * 60 + Number(minutes);
+};
+
 const isCheckValid = (time) => typeof time === `string` &&
  !!time.match(CHECK_IN_OUT_REGEXP);
 
@@ -32,9 +60,7 @@ const isTitleValid = (title) =>
 const isTypeValid = (type) => typeof type === `string` &&
  OFFER_TYPES.find((item) => item === type);
 
-// should make this additional check `|| rooms === RoomsQuantity.MIN` as min rooms number is 0, and Number(0) is read as false
-const isRoomsFieldValid = (rooms) => (Number(rooms) || Number(rooms) === RoomsQuantity.MIN) &&
-rooms >= RoomsQuantity.MIN && rooms <= RoomsQuantity.MAX;
+const isRoomsFieldValid = (rooms) => !!Number(rooms) && rooms >= RoomsQuantity.MIN && rooms <= RoomsQuantity.MAX;
 
 const isFeatureFieldValid = (features) => {
   const incomingFeatures = makeArray(features);
@@ -45,6 +71,29 @@ const isFeatureFieldValid = (features) => {
 
 const isImageValid = (image) => image.mimetype.match(/^image\//);
 
+const IMAGE_SIGNATURES = [
+  {type: `image/jpeg`, bytes: [0xFF, 0xD8, 0xFF]},
+  {type: `image/png`, bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]},
+  {type: `image/gif`, bytes: [0x47, 0x49, 0x46, 0x38]},
+  {type: `image/webp`, bytes: [0x52, 0x49, 0x46, 0x46], offsetBytes: {8: [0x57, 0x45, 0x42, 0x50]}}
+];
+
+const hasBytes = (buffer, bytes, offset = 0) => buffer.length >= offset + bytes.length &&
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const sniffImageType = (buffer) => {
+  const signature = IMAGE_SIGNATURES.find(({bytes, offsetBytes = {}}) => hasBytes(buffer, bytes) &&
+    Object.keys(offsetBytes).every((offset) => hasBytes(buffer, offsetBytes[offset], Number(offset))));
+
+  return signature ? signature.type : void 0;
+};
+
+// Checks the magic bytes of uploaded file against its declared mimetype
+const isImageContentValid = (file) => {
+  const sniffedType = sniffImageType(file.buffer);
+  return !!sniffedType && SniffedImageTypes[sniffedType].includes(file.mimetype);
+};
+
 const validateRequiredField = (field, fieldName, errorMessage, isValidField, errorsStore) => {
   if (!field) {
     return [...errorsStore, createErrorMessage(fieldName)];
@@ -72,7 +121,59 @@ const validateRoomsField = (rooms, prevErrorsStore) => {
   return prevErrorsStore;
 };
 
-const validate = (data) => {
+// Guests are required as the offer form always sends them, 0 is the valid number of them
+const validateGuestsField = (guests, prevErrorsStore) => {
+  if (guests === undefined) {
+    return [...prevErrorsStore, createErrorMessage(FormFields.guests)];
+  }
+  if (!isGuestsFieldValid(guests)) {
+    return [...prevErrorsStore, createErrorMessage(FormFields.guests, ValidateErrorMessage.GUESTS)];
+  }
+  return prevErrorsStore;
+};
+
+const hasFieldError = (errorsStore, fieldName) => errorsStore.some((it) => it.fieldName === fieldName);
+
+// Rules of the offer form, which are checked only for the valid fields
+const validateFormRules = ({type, price, rooms, guests, checkin, checkout}, prevErrorsStore) => {
+  const areFieldsValid = (...fieldNames) => fieldNames.every((fieldName) => !hasFieldError(prevErrorsStore, fieldName));
+  let errors = prevErrorsStore;
+
+  if (areFieldsValid(FormFields.type, FormFields.price) && Number(price) < TypeMinPrice[type]) {
+    errors = [...errors, createErrorMessage(FormFields.price, ValidateErrorMessage.TYPE_PRICE)];
+  }
+
+  if (areFieldsValid(FormFields.rooms, FormFields.guests) && !isCapacityValid(Number(rooms), Number(guests))) {
+    errors = [...errors, createErrorMessage(FormFields.guests, ValidateErrorMessage.CAPACITY)];
+  }
+
+  if (areFieldsValid(FormFields.checkin, FormFields.checkout) && getMinutes(checkin) !== getMinutes(checkout)) {
+    errors = [...errors, createErrorMessage(FormFields.checkout, ValidateErrorMessage.CHECKOUT_MATCH)];
+  }
+
+  return errors;
+};
+
+const validateUploadedFiles = ({avatar = [], preview = []}, prevErrorsStore) => {
+  let errors = prevErrorsStore;
+
+  if (avatar.some((file) => isImageValid(file) && !isImageContentValid(file))) {
+    errors = [...errors, createErrorMessage(FormFields.avatar, ValidateErrorMessage.IMAGE_CONTENT)];
+  }
+
+  if (preview.some((file) => isImageValid(file) && !isImageContentValid(file))) {
+    errors = [...errors, createErrorMessage(FormFields.preview, ValidateErrorMessage.IMAGE_CONTENT)];
+  }
+
+  if (preview.length > UploadLimit.PREVIEWS) {
+    errors = [...errors, createErrorMessage(FormFields.preview, ValidateErrorMessage.PREVIEWS_COUNT)];
+  }
+
+  return errors;
+};
+
+// Files are the uploaded by multer ones, their content is checked in addition to the declared data
+const validate = (data, files = {}) => {
   let errors = [];
 
   const {title,
@@ -82,6 +183,8 @@ const validate = (data) => {
     checkin,
     checkout,
     rooms,
+    guests,
+    description,
     features,
     avatar,
     preview} = data;
@@ -94,12 +197,20 @@ const validate = (data) => {
 
   errors = validateRequiredField(address, FormFields.address, ValidateErrorMessage.ADDRESS, isAddressValid, errors);
 
+  if (!hasFieldError(errors, FormFields.address)) {
+    errors = validateOptionalField(address, FormFields.address, ValidateErrorMessage.ADDRESS_COORDINATES, isAddressInMap, errors);
+  }
+
   errors = validateRequiredField(checkin, FormFields.checkin, ValidateErrorMessage.CHECKIN, isCheckValid, errors);
 
   errors = validateRequiredField(checkout, FormFields.checkout, ValidateErrorMessage.CHECKOUT, isCheckValid, errors);
 
   errors = validateRoomsField(rooms, errors);
 
+  errors = validateGuestsField(guests, errors);
+
+  errors = validateOptionalField(description, FormFields.description, ValidateErrorMessage.DESCRIPTION, isDescriptionValid, errors);
+
   errors = validateOptionalField(features, FormFields.features, ValidateErrorMessage.FEATURES, isFeatureFieldValid, errors);
 
   errors = validateOptionalField(avatar, FormFields.avatar, ValidateErrorMessage.IMAGES, isImageValid, errors);
@@ -109,6 +220,10 @@ const validate = (data) => {
     errors = errorInPreview ? [...errors, createErrorMessage(FormFields.preview, ValidateErrorMessage.IMAGES)] : errors;
   }
 
+  errors = validateUploadedFiles(files, errors);
+
+  errors = validateFormRules(data, errors);
+
   if (errors.length > 0) {
     throw new ValidationError(errors);
   }
@@ -117,3 +232,4 @@ const validate = (data) => {
 };
 
 module.exports = validate;
+module.exports.createErrorMessage = createErrorMessage;
@@ -1,4 +1,59 @@
+const crypto = require(`crypto`);
+
+module.exports.API_PATH = `/api`;
+module.exports.AUTH_PATH = `/api/auth`;
+module.exports.ME_PATH = `/api/me`;
+module.exports.KEYS_PATH = `/api/keys`;
+
+// Users are registered with the user role, the admin one is given in the users store and lets modify any offer
+module.exports.UserRoles = {
+  USER: `user`,
+  ADMIN: `admin`
+};
+
+// Tokens are signed with AUTH_SECRET env variable, without it they are valid only until the server restarts
+module.exports.AuthSettings = {
+  SECRET: process.env.AUTH_SECRET || crypto.randomBytes(32).toString(`hex`),
+  TOKEN_LIFETIME: Number(process.env.AUTH_TOKEN_LIFETIME) || 24 * 60 * 60,
+  BEARER_SCHEME: `Bearer`
+};
+
+// Keys are stored as SHA-256 hashes with their first characters to tell them apart.
+// Daily quota of the new keys can be changed with API_KEY_DAILY_QUOTA env variable, the days are UTC ones
+module.exports.ApiKeySettings = {
+  HEADER: `X-Api-Key`,
+  DAILY_QUOTA: Number(process.env.API_KEY_DAILY_QUOTA) || 1000,
+  KEY_LENGTH: 32,
+  PREFIX_LENGTH: 8,
+  HASH_ALGORITHM: `sha256`
+};
+
+// Token buckets of the API clients, which are API keys or IPs. Capacity is the burst size, rate is the tokens added per second.
+// Can be changed with RATE_LIMIT_READ_CAPACITY, RATE_LIMIT_READ_RATE, RATE_LIMIT_WRITE_CAPACITY and RATE_LIMIT_WRITE_RATE env variables
+module.exports.RateLimitSettings = {
+  READ: {
+    CAPACITY: Number(process.env.RATE_LIMIT_READ_CAPACITY) || 100,
+    RATE: Number(process.env.RATE_LIMIT_READ_RATE) || 10
+  },
+  WRITE: {
+    CAPACITY: Number(process.env.RATE_LIMIT_WRITE_CAPACITY) || 10,
+    RATE: Number(process.env.RATE_LIMIT_WRITE_RATE) || 0.2
+  }
+};
+module.exports.READ_METHODS = [`GET`, `HEAD`, `OPTIONS`];
+
+// Passwords are kept as PBKDF2 hashes with the random salt
+module.exports.PasswordHash = {
+  ITERATIONS: 100000,
+  KEY_LENGTH: 64,
+  SALT_LENGTH: 16,
+  DIGEST: `sha512`
+};
+
+module.exports.CHECKSUM_ALGORITHM = `sha1`;
 module.exports.CHECK_IN_OUT_REGEXP = /^([0-9]|0[0-9]|1[0-9]|2[0-3]):[0-5][0-9]$/;
+module.exports.ADDRESS_REGEXP = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+module.exports.DEFAULT_IMAGE_TYPE = `image/jpg`;
 module.exports.DEFAULT_PATH = `/api/offers`;
 module.exports.DEFAULT_SERVER_PORT = 3000;
 module.exports.DEFAULT_SERVER_HOST = `localhost`;
@@ -9,6 +64,7 @@ module.exports.FormFields = {
   avatar: `avatar`,
   checkin: `checkin`,
   checkout: `checkout`,
+  description: `description`,
   features: `features`,
   guests: `guests`,
   rooms: `rooms`,
@@ -23,14 +79,77 @@ module.exports.ImagesStoreNames = {
   PREVIEWS: `previews`
 };
 
+// Storage backend is chosen with STORAGE env variable, file storage is kept in STORAGE_PATH directory
+module.exports.StorageTypes = {
+  MONGO: `mongo`,
+  MEMORY: `memory`,
+  FILE: `file`
+};
+
+module.exports.DEFAULT_STORAGE_PATH = `data`;
+module.exports.OFFERS_FILE_NAME = `offers.json`;
+module.exports.BOOKINGS_FILE_NAME = `bookings.json`;
+module.exports.USERS_FILE_NAME = `users.json`;
+module.exports.API_KEYS_FILE_NAME = `api-keys.json`;
+
+// Backup directory has the manifest, offers as newline delimited JSON and the images bucket directories
+module.exports.BackupSettings = {
+  VERSION: 1,
+  MANIFEST_FILE_NAME: `manifest.json`,
+  OFFERS_FILE_NAME: `offers.ndjson`
+};
+
+module.exports.BOOKING_DATE_REGEXP = /^(\d{4})-(\d{2})-(\d{2})$/;
+module.exports.DEFAULT_CHECK_TIME = `12:00`;
+
+// Occupancy calendar is exported and imported as iCalendar (RFC 5545) feed
+module.exports.CalendarSettings = {
+  CONTENT_TYPE: `text/calendar; charset=utf-8`,
+  FIELD_NAME: `calendar`,
+  FILE_SIZE: 1024 * 1024,
+  PRODUCT_ID: `-//Keksobooking//Offer calendar//EN`,
+  UID_DOMAIN: `keksobooking`,
+  BOOKED_SUMMARY: `Booked`,
+  BLOCKED_SUMMARY: `Blocked`
+};
+
+module.exports.ImageSize = {
+  ORIGINAL: `original`,
+  THUMB: `thumb`
+};
+
+// The same widths as the images in offer html templates
+module.exports.ThumbnailWidth = {
+  AVATAR: 70,
+  PREVIEW: 150
+};
+
+module.exports.THUMBNAIL_SUFFIX = `-thumb`;
+
+// Bigger images are not decoded for thumbnails, can be changed with THUMBNAIL_MAX_PIXELS env variable
+module.exports.THUMBNAIL_MAX_PIXELS = Number(process.env.THUMBNAIL_MAX_PIXELS) || 25 * 1000 * 1000;
+
 module.exports.ImplementedMethods = {
   GET: `GET`,
-  POST: `POST`
+  POST: `POST`,
+  PUT: `PUT`,
+  PATCH: `PATCH`,
+  DELETE: `DELETE`
 };
 
 const MAX_ADDRESS_LENGTH = 100;
 module.exports.MAX_ADDRESS_LENGTH = MAX_ADDRESS_LENGTH;
 
+const MAX_DESCRIPTION_LENGTH = 1000;
+module.exports.MAX_DESCRIPTION_LENGTH = MAX_DESCRIPTION_LENGTH;
+
+// Address is "x, y" of the pin, which the offer form lets move within this area of the map
+const MapBounds = {
+  X: {MIN: 0, MAX: 1200},
+  Y: {MIN: 150, MAX: 500}
+};
+module.exports.MapBounds = MapBounds;
+
 module.exports.NAMES = [
   `Keks`,
   `Pavel`,
@@ -63,26 +182,132 @@ module.exports.OFFER_TYPES = OFFER_TYPES;
 module.exports.OFFERS_LIMIT = 20;
 module.exports.OFFERS_SKIP = 0;
 
+// The same bands as the "housing-price" select of the map filter form
+module.exports.PriceBand = {
+  LOW: `low`,
+  MIDDLE: `middle`,
+  HIGH: `high`
+};
+
+module.exports.PriceBandLimit = {
+  LOW: 10000,
+  HIGH: 50000
+};
+
+module.exports.FILTER_ANY_VALUE = `any`;
+
+// Query "sort" parameter values mapped to the indexed document fields
+module.exports.SortableFields = {
+  date: `date`,
+  price: `offer.price`,
+  rooms: `offer.rooms`,
+  guests: `offer.guests`
+};
+
+module.exports.SORT_DESCENDING_PREFIX = `-`;
+
+// Map-pixel coordinates range of the location 2d index, points outside of it can't be saved
+module.exports.LocationIndexBounds = {
+  MIN: -10000,
+  MAX: 10000
+};
+
+module.exports.COORDINATES_SEPARATOR = `,`;
+
+// Offer fields the map needs to draw the pins
+module.exports.PINS_PROJECTION = {
+  'id': 1,
+  'location': 1,
+  'offer.type': 1,
+  'offer.price': 1
+};
+
+// Offers in GeoJSON (RFC 7946) are requested with the media type or with ?format=geojson
+module.exports.GEOJSON_FORMAT = `geojson`;
+module.exports.GEOJSON_MEDIA_TYPE = `application/geo+json`;
+
+// Offers list is exported as CSV with the features and photos joined into one field
+module.exports.CSV_FORMAT = `csv`;
+module.exports.CSV_MEDIA_TYPE = `text/csv`;
+module.exports.CSV_LIST_SEPARATOR = `;`;
+
+module.exports.PINS_CACHE_CONTROL = `no-cache`;
+module.exports.GZIP_ENCODING = `gzip`;
+
 const Price = {
   MIN: 1,
   MAX: 100000
 };
 module.exports.Price = Price;
 
+// Offer without rooms can't take guests, so it's not valid at all
 const RoomsQuantity = {
-  MIN: 0,
+  MIN: 1,
   MAX: 1000
 };
 module.exports.RoomsQuantity = RoomsQuantity;
 
+const GuestsQuantity = {
+  MIN: 0,
+  MAX: RoomsQuantity.MAX
+};
+module.exports.GuestsQuantity = GuestsQuantity;
+
+// The same rules as the offer form has: 100 rooms aren't for guests, the other offers take from 1 guest to the rooms number
+const NOT_FOR_GUESTS_ROOMS = 100;
+module.exports.NOT_FOR_GUESTS_ROOMS = NOT_FOR_GUESTS_ROOMS;
+
+const TypeMinPrice = {
+  bungalo: 0,
+  flat: 1000,
+  house: 5000,
+  palace: 10000
+};
+module.exports.TypeMinPrice = TypeMinPrice;
+
 module.exports.StatusCodes = {
   OK: 200,
+  NO_CONTENT: 204,
+  NOT_MODIFIED: 304,
   BAD_REQUEST: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
   NOT_FOUND: 404,
+  CONFLICT: 409,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
   NOT_IMPLEMENTED_ERROR: 501
 };
 
+// Limits can be changed with UPLOAD_FILE_SIZE, UPLOAD_REQUEST_SIZE (in bytes) and UPLOAD_MAX_PREVIEWS env variables
+const UploadLimit = {
+  FILE_SIZE: Number(process.env.UPLOAD_FILE_SIZE) || 5 * 1024 * 1024,
+  REQUEST_SIZE: Number(process.env.UPLOAD_REQUEST_SIZE) || 20 * 1024 * 1024,
+  PREVIEWS: Number(process.env.UPLOAD_MAX_PREVIEWS) || 10
+};
+module.exports.UploadLimit = UploadLimit;
+
+// Image types which content can be recognized by its first bytes
+const SniffedImageTypes = {
+  'image/jpeg': [`image/jpeg`, `image/jpg`, `image/pjpeg`],
+  'image/png': [`image/png`],
+  'image/gif': [`image/gif`],
+  'image/webp': [`image/webp`]
+};
+module.exports.SniffedImageTypes = SniffedImageTypes;
+
+const UserNameLength = {
+  MIN: 2,
+  MAX: 50
+};
+module.exports.UserNameLength = UserNameLength;
+
+const PasswordLength = {
+  MIN: 8,
+  MAX: 128
+};
+module.exports.PasswordLength = PasswordLength;
+
 const TitleLength = {
   MIN: 30,
   MAX: 140
@@ -95,9 +320,28 @@ module.exports.ValidateErrorMessage = {
   TYPE: `should be one of the following types: ${OFFER_TYPES.join(`, `)}`,
   PRICE: `should be a number between ${Price.MIN} and ${Price.MAX}`,
   ADDRESS: `should be a string with a length not more than ${MAX_ADDRESS_LENGTH} characters`,
+  ADDRESS_COORDINATES: `should be "x, y" coordinates within the map: x from ${MapBounds.X.MIN} to ${MapBounds.X.MAX}, y from ${MapBounds.Y.MIN} to ${MapBounds.Y.MAX}`,
+  DESCRIPTION: `should be a string with a length not more than ${MAX_DESCRIPTION_LENGTH} characters`,
+  GUESTS: `should be an integer between ${GuestsQuantity.MIN} and ${GuestsQuantity.MAX}`,
+  CAPACITY: `should be ${GuestsQuantity.MIN} for ${NOT_FOR_GUESTS_ROOMS} rooms and from 1 to the rooms number for the other ones`,
+  TYPE_PRICE: `should be not less than the minimum price of the type: ${Object.keys(TypeMinPrice).map((type) => `${type} ${TypeMinPrice[type]}`).join(`, `)}`,
+  CHECKOUT_MATCH: `should be the same as checkin`,
   CHECKIN: `should be a string in HH:mm format`,
   CHECKOUT: `should be a string in HH:mm format`,
   ROOMS: `should be a number between ${RoomsQuantity.MIN} and ${RoomsQuantity.MAX}`,
   FEATURES: `should be one of the following types: ${OFFER_FEATURES.join(`, `)}`,
-  IMAGES: `should be an image type: image/jpg, image/png ...`
+  IMAGES: `should be an image type: image/jpg, image/png ...`,
+  IMAGE_CONTENT: `should be an image of one of the following types matching its content: ${Object.keys(SniffedImageTypes).join(`, `)}`,
+  FILE_SIZE: `should be a file not larger than ${UploadLimit.FILE_SIZE} bytes`,
+  REQUEST_SIZE: `should be files not larger than ${UploadLimit.REQUEST_SIZE} bytes in total`,
+  PREVIEWS_COUNT: `should be not more than ${UploadLimit.PREVIEWS} files`,
+  AVATAR_COUNT: `should be a single file`,
+  UNEXPECTED_FILE: `should not be uploaded`,
+  BOOKING_DATE: `should be a date in YYYY-MM-DD format`,
+  BOOKING_PAST_DATE: `should not be in the past`,
+  BOOKING_CHECKOUT: `should be later than checkin`,
+  BOOKING_GUESTS: `should be an integer from 1 to the offer guests number:`,
+  CALENDAR: `should be an iCalendar file with VEVENT dates`,
+  USER_NAME: `should be a string with a length from ${UserNameLength.MIN} to ${UserNameLength.MAX} characters`,
+  PASSWORD: `should be a string with a length from ${PasswordLength.MIN} to ${PasswordLength.MAX} characters`
 };
@@ -0,0 +1,29 @@
+const NOT_IMPLEMENTED_MESSAGE = `API keys store method is not implemented`;
+
+// API keys storage interface. Keys are found by their hash, usage is counted by YYYY-MM-DD days
+module.exports = class AbstractApiKeysStore {
+  // Resolves with undefined if there is no such key
+  async getKey(_hash) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  // Resolves with the keys of the user or with all the keys if the user id isn't set, sorted by creation date
+  async getKeys(_userId) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  async save(_keyData) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  // Resolves with the number of the revoked keys, which is 0 for unknown or already revoked key
+  async revokeKey(_id, _date) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  // Counts the request of the day only if the key isn't revoked and its usage of the day is below the quota,
+  // the check and the count are a single step. Resolves with the number of the counted keys, 1 or 0
+  async countUsage(_id, _day, _quota, _date) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+};
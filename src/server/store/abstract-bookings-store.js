@@ -0,0 +1,34 @@
+const NOT_IMPLEMENTED_MESSAGE = `Bookings store method is not implemented`;
+
+// Bookings storage interface. Booking start and end are timestamps, overlapping means start < other end && other start < end
+module.exports = class AbstractBookingsStore {
+  // Resolves with the offer bookings sorted by start
+  async getBookings(_offerId) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  async getOverlappingBookings(_offerId, _start, _end) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  // Resolves with ids of the offers booked for any night between checkin and checkout dates (YYYY-MM-DD)
+  async getBookedOfferIds(_checkin, _checkout) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  async save(_bookingData) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  async removeBooking(_offerId, _bookingId) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  async removeOfferBookings(_offerId) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  async removeAll() {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+};
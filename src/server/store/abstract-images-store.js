@@ -0,0 +1,32 @@
+const NOT_IMPLEMENTED_MESSAGE = `Images store method is not implemented`;
+
+// Images storage interface. Every bucket of images is a separate store
+module.exports = class AbstractImagesStore {
+  constructor(bucketName) {
+    this._bucketName = bucketName;
+  }
+
+  // Resolves with {info, stream} or undefined, info has length, uploadDate and metadata
+  // with contentType, originalName, size and checksum
+  async get(_filename) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  // Resolves with the info of all the bucket files
+  async getAll() {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  async save(_filename, _stream, _metadata) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  // Filename can be a string or a RegExp
+  async remove(_filename) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  async removeAll() {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+};
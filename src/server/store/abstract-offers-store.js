@@ -0,0 +1,57 @@
+const NOT_IMPLEMENTED_MESSAGE = `Offers store method is not implemented`;
+
+// Offers storage interface. Cursors returned by getAllOffers should have skip, limit, sort, stream, toArray and count methods.
+// Projection lists the included fields like {'offer.price': 1}
+module.exports = class AbstractOffersStore {
+  async getOffer(_date) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  async getOfferById(_id) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  async getAllOffers(_query, _sort, _projection) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  async updateOffer(_storedId, _offerData) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  async removeOffer(_storedId) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  // Resolves with {insertedId}
+  async save(_offerData) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  // Resolves with the cursor of the offers matching the query as they are stored, with their _id
+  async getStoredOffers(_query) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  // Resolves with the removed offers count
+  async removeAll() {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  // Inserts or replaces the offers by their stored _id, resolves with the restored offers count
+  async restoreOffers(_offers) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  async saveMany(_offers) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  async migrateIndexes() {
+  }
+
+  // Resolves with the number of offers which got ids
+  async backfillIds() {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+};
@@ -0,0 +1,10 @@
+const NOT_IMPLEMENTED_MESSAGE = `Rate limit store method is not implemented`;
+
+// Token buckets storage interface. Budget is {CAPACITY, RATE}, where rate is the tokens added per second
+module.exports = class AbstractRateLimitStore {
+  // Takes a token from the bucket if there is one.
+  // Resolves with {allowed, remaining, retryAfter, reset}, where retryAfter and reset are the seconds till the next token and the full bucket
+  async consume(_bucketId, _budget, _now) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+};
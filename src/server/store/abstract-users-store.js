@@ -0,0 +1,18 @@
+const NOT_IMPLEMENTED_MESSAGE = `Users store method is not implemented`;
+
+// Users storage interface. User names are unique, passwords are stored hashed
+module.exports = class AbstractUsersStore {
+  // Resolves with undefined if there is no such user
+  async getUser(_name) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  async getUserById(_id) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+
+  // Rejects with ConflictError if the name is already taken
+  async save(_userData) {
+    throw new Error(NOT_IMPLEMENTED_MESSAGE);
+  }
+};
@@ -0,0 +1,58 @@
+const AbstractApiKeysStore = require(`./abstract-api-keys-store`);
+const db = require(`../../database/db`);
+
+const logger = require(`../logger`);
+
+const setupCollection = async () => {
+  const dBase = await db;
+  const collection = dBase.collection(`apiKeys`);
+
+  collection.createIndex({hash: 1}, {unique: true}).catch((err) =>
+    logger.warn(`Failed to create "apiKeys" index`, err));
+  collection.createIndex({id: 1}, {unique: true}).catch((err) =>
+    logger.warn(`Failed to create "apiKeys" index`, err));
+  collection.createIndex({userId: 1}).catch((err) =>
+    logger.warn(`Failed to create "apiKeys" index`, err));
+  return collection;
+};
+
+class ApiKeysStore extends AbstractApiKeysStore {
+  constructor(collection) {
+    super();
+    this.collection = collection;
+  }
+
+  async getKey(hash) {
+    return await (await this.collection).findOne({hash}) || void 0;
+  }
+
+  async getKeys(userId) {
+    const query = userId === undefined ? {} : {userId};
+    return (await this.collection).find(query, {projection: {_id: void 0}}).sort({date: 1}).toArray();
+  }
+
+  async save(keyData) {
+    return (await this.collection).insertOne(keyData);
+  }
+
+  async revokeKey(id, date) {
+    const {modifiedCount} = await (await this.collection).updateOne({id, revoked: {$exists: false}}, {$set: {revoked: date}});
+    return modifiedCount;
+  }
+
+  // Missing usage of the day isn't greater than the quota as well
+  async countUsage(id, day, quota, date) {
+    const {modifiedCount} = await (await this.collection).updateOne({
+      id,
+      revoked: {$exists: false},
+      [`usage.${day}`]: {$not: {$gte: quota}}
+    }, {
+      $inc: {[`usage.${day}`]: 1, total: 1},
+      $set: {lastUsed: date}
+    });
+    return modifiedCount;
+  }
+}
+
+module.exports = new ApiKeysStore(setupCollection().catch((err) =>
+  logger.error(`Failed to set up "apiKeys"-collection`, err)));
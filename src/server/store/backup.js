@@ -0,0 +1,169 @@
+const crypto = require(`crypto`);
+const fs = require(`fs`);
+const path = require(`path`);
+const {Transform} = require(`stream`);
+const toStream = require(`buffer-to-stream`);
+
+const {ensureDir,
+  readFile,
+  writeFile} = require(`./file-system`);
+const {toStoredId} = require(`./stored-id`);
+const {BackupSettings,
+  CHECKSUM_ALGORITHM,
+  ImagesStoreNames} = require(`../server-settings`);
+
+const NDJSON_LINE_BREAK = `\n`;
+
+const getChecksum = (data) => crypto.createHash(CHECKSUM_ALGORITHM).update(data).digest(`hex`);
+
+const getImageStores = ({avatarStore, previewStore}) => ({
+  [ImagesStoreNames.AVATARS]: avatarStore,
+  [ImagesStoreNames.PREVIEWS]: previewStore
+});
+
+// Pipes the stream to the file, resolves with the written data checksum
+const writeStream = (stream, filePath) => new Promise((success, fail) => {
+  const hash = crypto.createHash(CHECKSUM_ALGORITHM);
+
+  stream
+    .on(`data`, (chunk) => hash.update(chunk))
+    .on(`error`, fail)
+    .pipe(fs.createWriteStream(filePath))
+    .on(`error`, fail)
+    .on(`finish`, () => success(hash.digest(`hex`)));
+});
+
+const exportOffers = async (offersStore, dir) => {
+  let count = 0;
+  const lines = new Transform({
+    writableObjectMode: true,
+    transform(offer, encoding, callback) {
+      count++;
+      callback(null, `${JSON.stringify(offer)}${NDJSON_LINE_BREAK}`);
+    }
+  });
+  const offersStream = (await offersStore.getStoredOffers()).stream();
+
+  offersStream.on(`error`, (err) => lines.destroy(err));
+
+  const checksum = await writeStream(offersStream.pipe(lines), path.join(dir, BackupSettings.OFFERS_FILE_NAME));
+  return {file: BackupSettings.OFFERS_FILE_NAME, count, checksum};
+};
+
+const exportImages = async (store, bucketDir) => {
+  await ensureDir(bucketDir);
+  const images = [];
+
+  for (const info of await store.getAll()) {
+    const image = await store.get(info.filename);
+    const filename = String(info.filename);
+    const file = encodeURIComponent(filename);
+    const checksum = await writeStream(image.stream, path.join(bucketDir, file));
+    const {contentType, originalName} = info.metadata || {};
+
+    images.push({filename, file, contentType, originalName, size: info.length, checksum});
+  }
+
+  return images;
+};
+
+// Writes the offers and images of the stores to the directory, resolves with the manifest
+const exportBackup = async (stores, dir) => {
+  await ensureDir(dir);
+
+  const offers = await exportOffers(stores.offersStore, dir);
+  const imageStores = getImageStores(stores);
+  const images = {};
+
+  for (const bucketName of Object.keys(imageStores)) {
+    images[bucketName] = await exportImages(imageStores[bucketName], path.join(dir, bucketName));
+  }
+
+  const manifest = {
+    version: BackupSettings.VERSION,
+    date: Date.now(),
+    counts: Object.keys(images).reduce((accumulator, bucketName) =>
+      Object.assign(accumulator, {[bucketName]: images[bucketName].length}), {offers: offers.count}),
+    offers,
+    images
+  };
+
+  await writeFile(path.join(dir, BackupSettings.MANIFEST_FILE_NAME), JSON.stringify(manifest, null, 2));
+  return manifest;
+};
+
+module.exports.exportBackup = exportBackup;
+
+const readChecked = async (filePath, checksum) => {
+  const data = await readFile(filePath);
+
+  if (getChecksum(data) !== checksum) {
+    throw new Error(`Backup file ${filePath} is corrupted, its checksum doesn't match the manifest`);
+  }
+  return data;
+};
+
+const readManifest = async (dir) => {
+  const manifest = JSON.parse(await readFile(path.join(dir, BackupSettings.MANIFEST_FILE_NAME), `utf8`));
+
+  if (manifest.version !== BackupSettings.VERSION) {
+    throw new Error(`Backup version ${manifest.version} is not supported`);
+  }
+  return manifest;
+};
+
+// Image is saved again only if the stored one differs from it. Manifest keeps the filenames as strings,
+// so the avatars named by the offer ObjectIDs get their stored names back
+const restoreImage = async (store, bucketDir, image) => {
+  const filename = toStoredId(image.filename);
+  const buffer = await readChecked(path.join(bucketDir, image.file), image.checksum);
+  const storedImage = await store.get(filename);
+
+  if (storedImage) {
+    storedImage.stream.destroy();
+
+    if ((storedImage.info.metadata || {}).checksum === image.checksum) {
+      return false;
+    }
+    await store.remove(filename);
+  }
+
+  await store.save(filename, toStream(buffer), {contentType: image.contentType, originalName: image.originalName});
+  return true;
+};
+
+// Restores the backup of the directory. Offers are replaced by their stored _id and unchanged images are skipped,
+// so the same backup can be restored more than once. Resolves with the restored and skipped counts
+const importBackup = async (stores, dir) => {
+  const manifest = await readManifest(dir);
+  const offersData = await readChecked(path.join(dir, manifest.offers.file), manifest.offers.checksum);
+  const offers = offersData.toString(`utf8`)
+    .split(NDJSON_LINE_BREAK)
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+
+  const result = {
+    offers: await stores.offersStore.restoreOffers(offers)
+  };
+  const imageStores = getImageStores(stores);
+
+  for (const bucketName of Object.keys(manifest.images)) {
+    const store = imageStores[bucketName];
+    const bucketResult = {restored: 0, skipped: 0};
+
+    if (!store) {
+      throw new Error(`Unknown images bucket "${bucketName}" in the backup`);
+    }
+
+    for (const image of manifest.images[bucketName]) {
+      const isRestored = await restoreImage(store, path.join(dir, bucketName), image);
+      bucketResult[isRestored ? `restored` : `skipped`]++;
+    }
+
+    result[bucketName] = bucketResult;
+  }
+
+  return result;
+};
+
+module.exports.importBackup = importBackup;
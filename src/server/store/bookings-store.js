@@ -0,0 +1,63 @@
+const AbstractBookingsStore = require(`./abstract-bookings-store`);
+const db = require(`../../database/db`);
+
+const logger = require(`../logger`);
+
+const setupCollection = async () => {
+  const dBase = await db;
+  const collection = dBase.collection(`bookings`);
+
+  collection.createIndex({offerId: 1, start: 1}).catch((err) =>
+    logger.warn(`Failed to create "bookings" index`, err));
+  collection.createIndex({checkin: 1, checkout: 1}).catch((err) =>
+    logger.warn(`Failed to create "bookings" index`, err));
+  collection.createIndex({id: 1}, {unique: true}).catch((err) =>
+    logger.warn(`Failed to create "bookings" index`, err));
+  return collection;
+};
+
+class BookingsStore extends AbstractBookingsStore {
+  constructor(collection) {
+    super();
+    this.collection = collection;
+  }
+
+  async getBookings(offerId) {
+    return (await this.collection).find({offerId}, {projection: {_id: void 0}}).sort({start: 1}).toArray();
+  }
+
+  async getOverlappingBookings(offerId, start, end) {
+    return (await this.collection).find({
+      offerId,
+      start: {$lt: end},
+      end: {$gt: start}
+    }, {projection: {_id: void 0}}).toArray();
+  }
+
+  // YYYY-MM-DD dates are compared as strings
+  async getBookedOfferIds(checkin, checkout) {
+    return (await this.collection).distinct(`offerId`, {
+      checkin: {$lt: checkout},
+      checkout: {$gt: checkin}
+    });
+  }
+
+  async save(bookingData) {
+    return (await this.collection).insertOne(bookingData);
+  }
+
+  async removeBooking(offerId, bookingId) {
+    return (await this.collection).deleteOne({offerId, id: bookingId});
+  }
+
+  async removeOfferBookings(offerId) {
+    return (await this.collection).deleteMany({offerId});
+  }
+
+  async removeAll() {
+    return (await this.collection).deleteMany({});
+  }
+}
+
+module.exports = new BookingsStore(setupCollection().catch((err) =>
+  logger.error(`Failed to set up "bookings"-collection`, err)));
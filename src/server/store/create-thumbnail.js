@@ -0,0 +1,43 @@
+const Jimp = require(`jimp`);
+
+const logger = require(`../logger`);
+const {getImageDimensions} = require(`./image-utils`);
+const {THUMBNAIL_MAX_PIXELS} = require(`../server-settings`);
+
+// Jimp can encode only a few formats, so the rest of the thumbnails are saved as png
+const ENCODABLE_TYPES = [Jimp.MIME_JPEG, Jimp.MIME_PNG];
+
+// Images are checked by their header before decoding, so a small file can't unpack into a huge bitmap
+const isDecodable = (buffer) => {
+  const dimensions = getImageDimensions(buffer);
+  return !!dimensions && dimensions.width * dimensions.height <= THUMBNAIL_MAX_PIXELS;
+};
+
+// Returns an image of the given width (keeping the proportions) or undefined if it can't be decoded
+const createThumbnail = async (file, width) => {
+  if (!isDecodable(file.buffer)) {
+    logger.warn(`Skipped thumbnail for "${file.originalname}": unknown image size or more than ${THUMBNAIL_MAX_PIXELS} pixels`);
+    return void 0;
+  }
+
+  try {
+    const image = await Jimp.read(file.buffer);
+
+    if (image.bitmap.width > width) {
+      image.resize(width, Jimp.AUTO);
+    }
+
+    const mimetype = ENCODABLE_TYPES.includes(image.getMIME()) ? image.getMIME() : Jimp.MIME_PNG;
+
+    return {
+      buffer: await image.getBufferAsync(mimetype),
+      mimetype,
+      originalname: file.originalname
+    };
+  } catch (err) {
+    logger.warn(`Failed to create thumbnail for "${file.originalname}"`, err);
+    return void 0;
+  }
+};
+
+module.exports = createThumbnail;
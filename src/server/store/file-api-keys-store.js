@@ -0,0 +1,29 @@
+const MemoryApiKeysStore = require(`./memory-api-keys-store`);
+const withJsonFile = require(`./file-store`);
+
+// Keeps API keys in memory and rewrites the whole JSON file after every change
+class FileApiKeysStore extends withJsonFile(MemoryApiKeysStore) {
+  async getKey(hash) {
+    await this._load();
+    return super.getKey(hash);
+  }
+
+  async getKeys(userId) {
+    await this._load();
+    return super.getKeys(userId);
+  }
+
+  save(keyData) {
+    return this._change(() => super.save(keyData));
+  }
+
+  revokeKey(id, date) {
+    return this._change(() => super.revokeKey(id, date));
+  }
+
+  countUsage(id, day, quota, date) {
+    return this._change(() => super.countUsage(id, day, quota, date));
+  }
+}
+
+module.exports = FileApiKeysStore;
@@ -0,0 +1,38 @@
+const MemoryBookingsStore = require(`./memory-bookings-store`);
+const withJsonFile = require(`./file-store`);
+
+// Keeps bookings in memory and rewrites the whole JSON file after every change
+class FileBookingsStore extends withJsonFile(MemoryBookingsStore) {
+  async getBookings(offerId) {
+    await this._load();
+    return super.getBookings(offerId);
+  }
+
+  async getOverlappingBookings(offerId, start, end) {
+    await this._load();
+    return super.getOverlappingBookings(offerId, start, end);
+  }
+
+  async getBookedOfferIds(checkin, checkout) {
+    await this._load();
+    return super.getBookedOfferIds(checkin, checkout);
+  }
+
+  save(bookingData) {
+    return this._change(() => super.save(bookingData));
+  }
+
+  removeBooking(offerId, bookingId) {
+    return this._change(() => super.removeBooking(offerId, bookingId));
+  }
+
+  removeOfferBookings(offerId) {
+    return this._change(() => super.removeOfferBookings(offerId));
+  }
+
+  removeAll() {
+    return this._change(() => super.removeAll());
+  }
+}
+
+module.exports = FileBookingsStore;
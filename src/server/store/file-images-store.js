@@ -0,0 +1,109 @@
+const fs = require(`fs`);
+const path = require(`path`);
+
+const AbstractImagesStore = require(`./abstract-images-store`);
+const {createImageInfo,
+  matchFilename,
+  readStream} = require(`./image-utils`);
+const {ensureDir,
+  ERROR_NO_ENTITY,
+  readdir,
+  readFile,
+  unlink,
+  writeFile} = require(`./file-system`);
+
+const ALL_FILES_PATTERN = /^/;
+const INFO_FILE_EXTENSION = `.json`;
+
+// Every image is saved in the bucket directory next to the json file with its info
+class FileImagesStore extends AbstractImagesStore {
+  constructor(bucketName, storagePath) {
+    super(bucketName);
+    this._dir = path.join(storagePath, bucketName);
+  }
+
+  _getFilePath(filename) {
+    return path.join(this._dir, encodeURIComponent(String(filename)));
+  }
+
+  async _getInfo(filename) {
+    let info;
+
+    try {
+      info = JSON.parse(await readFile(`${this._getFilePath(filename)}${INFO_FILE_EXTENSION}`, `utf8`));
+    } catch (err) {
+      if (err.code === ERROR_NO_ENTITY) {
+        return void 0;
+      }
+      throw err;
+    }
+
+    return Object.assign(info, {uploadDate: new Date(info.uploadDate)});
+  }
+
+  async get(filename) {
+    const info = await this._getInfo(filename);
+
+    if (!info) {
+      return void 0;
+    }
+
+    return {
+      info,
+      stream: fs.createReadStream(this._getFilePath(filename))
+    };
+  }
+
+  async save(filename, stream, metadata) {
+    const buffer = await readStream(stream);
+    const info = createImageInfo(filename, buffer, metadata);
+    const filePath = this._getFilePath(filename);
+
+    await ensureDir(path.dirname(this._dir));
+    await ensureDir(this._dir);
+    await writeFile(filePath, buffer);
+    await writeFile(`${filePath}${INFO_FILE_EXTENSION}`, JSON.stringify(info));
+    return info;
+  }
+
+  async _getFilenames() {
+    let entries;
+
+    try {
+      entries = await readdir(this._dir);
+    } catch (err) {
+      if (err.code === ERROR_NO_ENTITY) {
+        return [];
+      }
+      throw err;
+    }
+
+    return entries
+      .filter((entry) => entry.endsWith(INFO_FILE_EXTENSION))
+      .map((entry) => decodeURIComponent(entry.slice(0, -INFO_FILE_EXTENSION.length)));
+  }
+
+  async getAll() {
+    const filenames = await this._getFilenames();
+    const infos = await Promise.all(filenames.map((it) => this._getInfo(it)));
+
+    return infos.filter((it) => it);
+  }
+
+  async remove(filename) {
+    const filenames = (await this._getFilenames()).filter((it) => matchFilename(it, filename));
+
+    await Promise.all(filenames.map((it) => {
+      const filePath = this._getFilePath(it);
+      return Promise.all([unlink(filePath), unlink(`${filePath}${INFO_FILE_EXTENSION}`)]);
+    }));
+
+    return filenames;
+  }
+
+  async removeAll() {
+    return this.remove(ALL_FILES_PATTERN);
+  }
+}
+
+module.exports = FileImagesStore;
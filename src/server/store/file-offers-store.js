@@ -0,0 +1,55 @@
+const MemoryOffersStore = require(`./memory-offers-store`);
+const withJsonFile = require(`./file-store`);
+
+// Keeps offers in memory and rewrites the whole JSON file after every change
+class FileOffersStore extends withJsonFile(MemoryOffersStore) {
+  async getOffer(date) {
+    await this._load();
+    return super.getOffer(date);
+  }
+
+  async getOfferById(id) {
+    await this._load();
+    return super.getOfferById(id);
+  }
+
+  async getAllOffers(query, sort, projection) {
+    await this._load();
+    return super.getAllOffers(query, sort, projection);
+  }
+
+  updateOffer(_id, offerData) {
+    return this._change(() => super.updateOffer(_id, offerData));
+  }
+
+  removeOffer(_id) {
+    return this._change(() => super.removeOffer(_id));
+  }
+
+  save(offerData) {
+    return this._change(() => super.save(offerData));
+  }
+
+  saveMany(offers) {
+    return this._change(() => super.saveMany(offers));
+  }
+
+  async getStoredOffers(query) {
+    await this._load();
+    return super.getStoredOffers(query);
+  }
+
+  removeAll() {
+    return this._change(() => super.removeAll());
+  }
+
+  restoreOffers(offers) {
+    return this._change(() => super.restoreOffers(offers));
+  }
+
+  backfillIds() {
+    return this._change(() => super.backfillIds());
+  }
+}
+
+module.exports = FileOffersStore;
@@ -0,0 +1,49 @@
+const {JsonFile} = require(`./file-system`);
+
+// Extends the memory store to keep its data in the JSON file, which the CLI commands can change
+// while the server is running, so the data is read again whenever the file is rewritten by the other process
+const withJsonFile = (MemoryStore) => class extends MemoryStore {
+  constructor(filePath) {
+    super();
+    this._file = new JsonFile(filePath);
+    this._changing = Promise.resolve();
+  }
+
+  // The failed read is repeated by the next call instead of failing forever
+  _load() {
+    if (!this._loading) {
+      this._loading = this._file.isChanged()
+        .then((isChanged) => isChanged && this._file.read().then((data = []) => {
+          this.data = data;
+        }))
+        .then(() => {
+          this._loading = void 0;
+        }, (err) => {
+          this._loading = void 0;
+          throw err;
+        });
+    }
+    return this._loading;
+  }
+
+  // Changes are written one by one, the data of the change which can't be written is restored
+  _change(operation) {
+    const next = this._changing.then(async () => {
+      await this._load();
+      const previousData = this.data;
+
+      try {
+        const result = await operation();
+        await this._file.write(this.data);
+        return result;
+      } catch (err) {
+        this.data = previousData;
+        throw err;
+      }
+    });
+    this._changing = next.catch(() => {});
+    return next;
+  }
+};
+
+module.exports = withJsonFile;
@@ -0,0 +1,87 @@
+const fs = require(`fs`);
+const path = require(`path`);
+const {promisify} = require(`util`);
+
+const ERROR_EXIST = `EEXIST`;
+const ERROR_NO_ENTITY = `ENOENT`;
+const TEMP_FILE_EXTENSION = `.tmp`;
+
+const mkdir = promisify(fs.mkdir);
+const readFile = promisify(fs.readFile);
+const rename = promisify(fs.rename);
+const stat = promisify(fs.stat);
+const writeFile = promisify(fs.writeFile);
+
+// Creates directory if it doesn't exist yet, the parent one should exist
+const ensureDir = (dir) => mkdir(dir).catch((err) => {
+  if (err.code !== ERROR_EXIST) {
+    throw err;
+  }
+});
+
+// Every write replaces the file by the new one, so its inode tells whether the file has been rewritten
+const getStamp = ({ino, mtimeMs, size}) => `${ino}:${mtimeMs}:${size}`;
+
+// JSON file which is rewritten as a whole, writes are queued and replace the file atomically
+class JsonFile {
+  constructor(filePath) {
+    this._filePath = filePath;
+    this._writing = Promise.resolve();
+    // Stamp of the content last read or written here, null for the missing file
+    this._stamp = void 0;
+  }
+
+  // Resolves with true if the file has been written by the other process since this one read or wrote it
+  isChanged() {
+    return stat(this._filePath)
+      .then((stats) => getStamp(stats) !== this._stamp)
+      .catch((err) => {
+        if (err.code !== ERROR_NO_ENTITY) {
+          throw err;
+        }
+        return this._stamp !== null;
+      });
+  }
+
+  // Resolves with undefined if the file doesn't exist yet
+  read() {
+    return stat(this._filePath)
+      .then((stats) => readFile(this._filePath, `utf8`).then((content) => {
+        const data = JSON.parse(content);
+        this._stamp = getStamp(stats);
+        return data;
+      }))
+      .catch((err) => {
+        if (err.code !== ERROR_NO_ENTITY) {
+          throw err;
+        }
+        this._stamp = null;
+        return void 0;
+      });
+  }
+
+  // A failed write is reported to its caller only, the next ones still run
+  write(data) {
+    const content = JSON.stringify(data);
+    const tempPath = `${this._filePath}${TEMP_FILE_EXTENSION}`;
+
+    const next = this._writing
+      .then(() => ensureDir(path.dirname(this._filePath)))
+      .then(() => writeFile(tempPath, content))
+      // The renamed file keeps the stamp of the temp one
+      .then(() => stat(tempPath))
+      .then((stats) => rename(tempPath, this._filePath).then(() => {
+        this._stamp = getStamp(stats);
+      }));
+    this._writing = next.catch(() => {});
+    return next;
+  }
+}
+
+module.exports.ERROR_NO_ENTITY = ERROR_NO_ENTITY;
+module.exports.ensureDir = ensureDir;
+module.exports.JsonFile = JsonFile;
+module.exports.readdir = promisify(fs.readdir);
+module.exports.readFile = readFile;
+module.exports.unlink = promisify(fs.unlink);
+module.exports.writeFile = writeFile;
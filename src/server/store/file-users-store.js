@@ -0,0 +1,21 @@
+const MemoryUsersStore = require(`./memory-users-store`);
+const withJsonFile = require(`./file-store`);
+
+// Keeps users in memory and rewrites the whole JSON file after every change
+class FileUsersStore extends withJsonFile(MemoryUsersStore) {
+  async getUser(name) {
+    await this._load();
+    return super.getUser(name);
+  }
+
+  async getUserById(id) {
+    await this._load();
+    return super.getUserById(id);
+  }
+
+  save(userData) {
+    return this._change(() => super.save(userData));
+  }
+}
+
+module.exports = FileUsersStore;
@@ -0,0 +1,74 @@
+const crypto = require(`crypto`);
+
+const {CHECKSUM_ALGORITHM} = require(`../server-settings`);
+
+const readStream = (stream) => new Promise((success, fail) => {
+  const chunks = [];
+  stream
+    .on(`data`, (chunk) => chunks.push(chunk))
+    .on(`error`, fail)
+    .on(`end`, () => success(Buffer.concat(chunks)));
+});
+
+module.exports.readStream = readStream;
+
+// Filename pattern can be a string or a RegExp, as in the GridFS files query
+const matchFilename = (filename, pattern) => pattern instanceof RegExp ?
+  pattern.test(filename) : filename === String(pattern);
+
+module.exports.matchFilename = matchFilename;
+
+// The same file info as GridFS stores
+const createImageInfo = (filename, buffer, {contentType, originalName} = {}) => ({
+  filename: String(filename),
+  length: buffer.length,
+  uploadDate: new Date(),
+  contentType,
+  metadata: {
+    contentType,
+    originalName,
+    size: buffer.length,
+    checksum: crypto.createHash(CHECKSUM_ALGORITHM).update(buffer).digest(`hex`)
+  }
+});
+
+module.exports.createImageInfo = createImageInfo;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const GIF_SIGNATURE = Buffer.from(`GIF8`);
+const JPEG_SOI = 0xFFD8;
+// JPEG frame markers keeping the image size, except DHT, JPG and DAC
+const JPEG_SOF_MARKERS = [0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF];
+
+const getJpegDimensions = (buffer) => {
+  let offset = 2;
+
+  while (offset + 9 <= buffer.length && buffer[offset] === 0xFF) {
+    const marker = buffer[offset + 1];
+
+    if (JPEG_SOF_MARKERS.includes(marker)) {
+      return {width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5)};
+    }
+
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+
+  return void 0;
+};
+
+// Reads image width and height from its header without decoding, undefined for unknown formats
+const getImageDimensions = (buffer) => {
+  if (buffer.length >= 24 && buffer.slice(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    return {width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20)};
+  }
+  if (buffer.length >= 10 && buffer.slice(0, GIF_SIGNATURE.length).equals(GIF_SIGNATURE)) {
+    return {width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8)};
+  }
+  if (buffer.length >= 4 && buffer.readUInt16BE(0) === JPEG_SOI) {
+    return getJpegDimensions(buffer);
+  }
+
+  return void 0;
+};
+
+module.exports.getImageDimensions = getImageDimensions;
@@ -1,10 +1,13 @@
+const crypto = require(`crypto`);
+
+const AbstractImagesStore = require(`./abstract-images-store`);
+const {CHECKSUM_ALGORITHM} = require(`../server-settings`);
 const db = require(`../../database/db`);
 const mongodb = require(`mongodb`);
 
-class ImageStore {
-  constructor(bucketName) {
-    this._bucketName = bucketName;
-  }
+const NAMESPACE_NOT_FOUND_CODE = 26;
+
+class ImageStore extends AbstractImagesStore {
 
   async getBucket() {
     if (this._bucket) {
@@ -33,13 +36,56 @@ class ImageStore {
     };
   }
 
-  async save(filename, stream) {
+  async getAll() {
+    return (await this.getBucket()).find({}).toArray();
+  }
+
+  // Size and checksum are counted while uploading and added to the file metadata afterwards
+  async save(filename, stream, {contentType, originalName} = {}) {
     const bucket = await this.getBucket();
-    return new Promise((success, fail) => {
-      stream.pipe(bucket.openUploadStream(filename))
+    const hash = crypto.createHash(CHECKSUM_ALGORITHM);
+    let size = 0;
+
+    stream.on(`data`, (chunk) => {
+      hash.update(chunk);
+      size += chunk.length;
+    });
+
+    const uploadStream = bucket.openUploadStream(filename, {
+      contentType,
+      metadata: {contentType, originalName}
+    });
+
+    await new Promise((success, fail) => {
+      stream.pipe(uploadStream)
         .on(`error`, fail)
         .on(`finish`, success);
     });
+
+    const dBase = await db;
+    return dBase.collection(`${this._bucketName}.files`).updateOne({_id: uploadStream.id}, {
+      $set: {
+        'metadata.size': size,
+        'metadata.checksum': hash.digest(`hex`)
+      }
+    });
+  }
+
+  // Removes all files matching the filename, which can be a string or a RegExp
+  async remove(filename) {
+    const bucket = await this.getBucket();
+    const results = await bucket.find({filename}).toArray();
+    return Promise.all(results.map((entity) => bucket.delete(entity._id)));
+  }
+
+  // Drops the files and chunks collections of the bucket, the bucket which was never used has nothing to drop
+  async removeAll() {
+    const bucket = await this.getBucket();
+    return bucket.drop().catch((err) => {
+      if (err.code !== NAMESPACE_NOT_FOUND_CODE) {
+        throw err;
+      }
+    });
   }
 }
 
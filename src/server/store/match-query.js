@@ -0,0 +1,73 @@
+const getFieldValue = (document, path) => path.split(`.`).reduce((value, key) =>
+  (value === undefined || value === null) ? void 0 : value[key], document);
+
+// Legacy coordinate pair is either [x, y] array or the embedded document with x and y as its first fields
+const getPoint = (value) => (Array.isArray(value) ? value : Object.values(value)).slice(0, 2);
+
+const getDistance = (value, point) => {
+  if (value === undefined || value === null) {
+    return Infinity;
+  }
+  const [x, y] = getPoint(value);
+  return Math.hypot(x - point[0], y - point[1]);
+};
+
+const isWithinBox = (value, [[minX, minY], [maxX, maxY]]) => {
+  if (value === undefined || value === null) {
+    return false;
+  }
+  const [x, y] = getPoint(value);
+  return x >= minX && x <= maxX && y >= minY && y <= maxY;
+};
+
+const GeoShapes = {
+  $box: isWithinBox,
+  $center: (value, [center, radius]) => getDistance(value, center) <= radius
+};
+
+const Operators = {
+  $lt: (value, operand) => value < operand,
+  $lte: (value, operand) => value <= operand,
+  $gt: (value, operand) => value > operand,
+  $gte: (value, operand) => value >= operand,
+  $ne: (value, operand) => value !== operand,
+  $in: (value, operand) => operand.includes(value),
+  $nin: (value, operand) => !operand.includes(value),
+  $all: (value, operand) => Array.isArray(value) && operand.every((it) => value.includes(it)),
+  $near: (value, operand, condition) => getDistance(value, operand) <= (condition.$maxDistance === undefined ? Infinity : condition.$maxDistance),
+  $maxDistance: () => true,
+  $geoWithin: (value, operand) => Object.keys(operand).every((shape) => GeoShapes[shape](value, operand[shape]))
+};
+
+const isOperatorsObject = (condition) => condition !== null && typeof condition === `object` &&
+  !Array.isArray(condition) && Object.keys(condition).every((key) => key.startsWith(`$`));
+
+const matchCondition = (value, condition) => {
+  if (!isOperatorsObject(condition)) {
+    return Array.isArray(value) ? value.includes(condition) : value === condition;
+  }
+
+  return Object.keys(condition).every((operator) => Operators[operator](value, condition[operator], condition));
+};
+
+// Simplified MongoDB query matcher used by the in-memory offers store
+const matchQuery = (document, query = {}) => Object.keys(query).every((path) =>
+  matchCondition(getFieldValue(document, path), query[path]));
+
+// Sorts documents by the distance to the $near point of the query as MongoDB does
+const sortByDistance = (documents, query = {}) => {
+  const path = Object.keys(query).find((key) => isOperatorsObject(query[key]) && query[key].$near);
+
+  if (!path) {
+    return documents;
+  }
+
+  const point = query[path].$near;
+  const getDocumentDistance = (document) => getDistance(getFieldValue(document, path), point);
+
+  return [...documents].sort((a, b) => getDocumentDistance(a) - getDocumentDistance(b));
+};
+
+module.exports = matchQuery;
+module.exports.getFieldValue = getFieldValue;
+module.exports.sortByDistance = sortByDistance;
@@ -0,0 +1,54 @@
+const AbstractApiKeysStore = require(`./abstract-api-keys-store`);
+const {generateId} = require(`../../utils/util-functions`);
+const {getDayUsage} = require(`../auth/api-keys`);
+
+class MemoryApiKeysStore extends AbstractApiKeysStore {
+  constructor(data = []) {
+    super();
+    this.data = data;
+  }
+
+  async getKey(hash) {
+    return this.data.find((it) => it.hash === hash);
+  }
+
+  async getKeys(userId) {
+    return this.data
+      .filter((it) => userId === undefined || it.userId === userId)
+      .sort((a, b) => a.date - b.date);
+  }
+
+  async save(keyData) {
+    const insertedId = generateId();
+    this.data = [...this.data, Object.assign({_id: insertedId}, keyData)];
+    return {
+      insertedId
+    };
+  }
+
+  async revokeKey(id, date) {
+    return this._update((it) => it.id === id && !it.revoked, () => ({revoked: date}));
+  }
+
+  async countUsage(id, day, quota, date) {
+    return this._update((it) => it.id === id && !it.revoked && getDayUsage(it, day) < quota, (it) => ({
+      usage: Object.assign({}, it.usage, {[day]: getDayUsage(it, day) + 1}),
+      total: (it.total || 0) + 1,
+      lastUsed: date
+    }));
+  }
+
+  _update(shouldUpdate, getChanges) {
+    let count = 0;
+    this.data = this.data.map((it) => {
+      if (!shouldUpdate(it)) {
+        return it;
+      }
+      count++;
+      return Object.assign({}, it, getChanges(it));
+    });
+    return count;
+  }
+}
+
+module.exports = MemoryApiKeysStore;
@@ -0,0 +1,59 @@
+const AbstractBookingsStore = require(`./abstract-bookings-store`);
+const {generateId} = require(`../../utils/util-functions`);
+
+const isOverlapping = (booking, start, end) => booking.start < end && start < booking.end;
+const isBookedForNights = (booking, checkin, checkout) => booking.checkin < checkout && checkin < booking.checkout;
+
+class MemoryBookingsStore extends AbstractBookingsStore {
+  constructor(data = []) {
+    super();
+    this.data = data;
+  }
+
+  async getBookings(offerId) {
+    return this.data
+      .filter((it) => it.offerId === offerId)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  async getOverlappingBookings(offerId, start, end) {
+    return this.data.filter((it) => it.offerId === offerId && isOverlapping(it, start, end));
+  }
+
+  async getBookedOfferIds(checkin, checkout) {
+    const offerIds = this.data
+      .filter((it) => isBookedForNights(it, checkin, checkout))
+      .map((it) => it.offerId);
+    return [...new Set(offerIds)];
+  }
+
+  async save(bookingData) {
+    const insertedId = generateId();
+    this.data = [...this.data, Object.assign({_id: insertedId}, bookingData)];
+    return {
+      insertedId
+    };
+  }
+
+  async removeBooking(offerId, bookingId) {
+    return this._remove((it) => it.offerId === offerId && it.id === bookingId);
+  }
+
+  async removeOfferBookings(offerId) {
+    return this._remove((it) => it.offerId === offerId);
+  }
+
+  async removeAll() {
+    return this._remove(() => true);
+  }
+
+  _remove(shouldRemove) {
+    const dataLength = this.data.length;
+    this.data = this.data.filter((it) => !shouldRemove(it));
+    return {
+      deletedCount: dataLength - this.data.length
+    };
+  }
+}
+
+module.exports = MemoryBookingsStore;
@@ -0,0 +1,58 @@
+const {Readable} = require(`stream`);
+
+const {getFieldValue} = require(`./match-query`);
+
+const compareValues = (a, b) => {
+  if (a === b) {
+    return 0;
+  }
+  return a > b ? 1 : -1;
+};
+
+class MemoryCursor {
+  constructor(data) {
+    this.data = data;
+  }
+
+  skip(count = 0) {
+    return new MemoryCursor(this.data.slice(count));
+  }
+
+  // As in MongoDB zero limit means no limit and the negative one is taken as the positive one
+  limit(count = 0) {
+    return count ? new MemoryCursor(this.data.slice(0, Math.abs(count))) : this;
+  }
+
+  sort(sortSpecification = {}) {
+    const fields = Object.keys(sortSpecification);
+    const compare = (a, b) => fields.reduce((result, field) => {
+      if (result !== 0) {
+        return result;
+      }
+      return compareValues(getFieldValue(a, field), getFieldValue(b, field)) * sortSpecification[field];
+    }, 0);
+
+    return new MemoryCursor([...this.data].sort(compare));
+  }
+
+  // Objects mode stream of the documents as the MongoDB cursor stream
+  stream() {
+    const data = [...this.data];
+    return new Readable({
+      objectMode: true,
+      read() {
+        this.push(data.length ? data.shift() : null);
+      }
+    });
+  }
+
+  async toArray() {
+    return this.data;
+  }
+
+  async count() {
+    return this.data.length;
+  }
+}
+
+module.exports = MemoryCursor;
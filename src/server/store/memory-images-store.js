@@ -0,0 +1,50 @@
+const toStream = require(`buffer-to-stream`);
+
+const AbstractImagesStore = require(`./abstract-images-store`);
+const {createImageInfo,
+  matchFilename,
+  readStream} = require(`./image-utils`);
+
+const ALL_FILES_PATTERN = /^/;
+
+class MemoryImagesStore extends AbstractImagesStore {
+  constructor(bucketName) {
+    super(bucketName);
+    this._files = new Map();
+  }
+
+  async get(filename) {
+    const file = this._files.get(String(filename));
+    if (!file) {
+      return void 0;
+    }
+    return {
+      info: file.info,
+      stream: toStream(file.buffer)
+    };
+  }
+
+  async getAll() {
+    return [...this._files.values()].map((it) => it.info);
+  }
+
+  async save(filename, stream, metadata) {
+    const buffer = await readStream(stream);
+    const info = createImageInfo(filename, buffer, metadata);
+
+    this._files.set(info.filename, {buffer, info});
+    return info;
+  }
+
+  async remove(filename) {
+    const filenames = [...this._files.keys()].filter((it) => matchFilename(it, filename));
+    filenames.forEach((it) => this._files.delete(it));
+    return filenames;
+  }
+
+  async removeAll() {
+    return this.remove(ALL_FILES_PATTERN);
+  }
+}
+
+module.exports = MemoryImagesStore;
@@ -0,0 +1,119 @@
+const AbstractOffersStore = require(`./abstract-offers-store`);
+const MemoryCursor = require(`./memory-cursor`);
+const matchQuery = require(`./match-query`);
+const {getFieldValue,
+  sortByDistance} = matchQuery;
+const {generateId} = require(`../../utils/util-functions`);
+
+// Offers are sent without the stored _id, as with the MongoDB projection
+const omitStoredId = (offer) => Object.keys(offer)
+  .filter((key) => key !== `_id`)
+  .reduce((accumulator, key) => Object.assign(accumulator, {[key]: offer[key]}), {});
+
+// Keeps only the projection fields, which may be dot paths
+const applyProjection = (offer, projection) => Object.keys(projection).reduce((accumulator, path) => {
+  const value = getFieldValue(offer, path);
+
+  if (value === undefined) {
+    return accumulator;
+  }
+
+  const keys = path.split(`.`);
+  const parent = keys.slice(0, -1).reduce((document, key) => {
+    document[key] = document[key] || {};
+    return document[key];
+  }, accumulator);
+
+  parent[keys[keys.length - 1]] = value;
+  return accumulator;
+}, {});
+
+class MemoryOffersStore extends AbstractOffersStore {
+  constructor(data = []) {
+    super();
+    this.data = data;
+  }
+
+  async getOffer(date) {
+    return this.data.find((it) => it.date === date);
+  }
+
+  async getOfferById(id) {
+    return this.data.find((it) => it.id === id);
+  }
+
+  async getAllOffers(query, sort, projection) {
+    const foundOffers = this.data.filter((it) => matchQuery(it, query));
+    const cursor = new MemoryCursor(sortByDistance(foundOffers, query));
+    const sortedOffers = (sort ? cursor.sort(sort) : cursor).data;
+    const projectOffer = projection ? (it) => applyProjection(it, projection) : omitStoredId;
+
+    // Offers are sorted before the projection, as the sort fields may be left out of it
+    return new MemoryCursor(sortedOffers.map(projectOffer));
+  }
+
+  async updateOffer(_id, offerData) {
+    const index = this.data.findIndex((it) => it._id === _id);
+    if (index !== -1) {
+      this.data = [...this.data.slice(0, index), Object.assign({_id}, offerData), ...this.data.slice(index + 1)];
+    }
+    return {
+      matchedCount: index === -1 ? 0 : 1
+    };
+  }
+
+  async removeOffer(_id) {
+    const dataLength = this.data.length;
+    this.data = this.data.filter((it) => it._id !== _id);
+    return {
+      deletedCount: dataLength - this.data.length
+    };
+  }
+
+  async save(offerData) {
+    const insertedId = generateId();
+    this.data = [...this.data, Object.assign({_id: insertedId}, offerData)];
+    return {
+      insertedId
+    };
+  }
+
+  async saveMany(offers) {
+    const insertedIds = offers.map(() => generateId());
+    this.data = [...this.data, ...offers.map((offer, index) => Object.assign({_id: insertedIds[index]}, offer))];
+    return {
+      insertedCount: offers.length,
+      insertedIds
+    };
+  }
+
+  async getStoredOffers(query) {
+    return new MemoryCursor(this.data.filter((it) => matchQuery(it, query)));
+  }
+
+  async removeAll() {
+    const dataLength = this.data.length;
+    this.data = [];
+    return dataLength;
+  }
+
+  async restoreOffers(offers) {
+    const restoredIds = offers.map((it) => it._id);
+    this.data = [...this.data.filter((it) => !restoredIds.includes(it._id)), ...offers];
+    return offers.length;
+  }
+
+  async backfillIds() {
+    let count = 0;
+    this.data = this.data.map((offer) => {
+      if (offer.id) {
+        return offer;
+      }
+      count++;
+      return Object.assign({}, offer, {id: generateId()});
+    });
+    return count;
+  }
+}
+
+module.exports = MemoryOffersStore;
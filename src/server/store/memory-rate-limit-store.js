@@ -0,0 +1,43 @@
+const AbstractRateLimitStore = require(`./abstract-rate-limit-store`);
+
+const MS_IN_SECOND = 1000;
+const SWEEP_SIZE = 10000;
+
+const getTokens = (bucket, budget, now) => Math.min(budget.CAPACITY, bucket.tokens + (now - bucket.updated) / MS_IN_SECOND * budget.RATE);
+
+// Buckets are kept until they are full again, the full ones are removed when there are too many of them
+class MemoryRateLimitStore extends AbstractRateLimitStore {
+  constructor() {
+    super();
+    this._buckets = new Map();
+  }
+
+  async consume(bucketId, budget, now = Date.now()) {
+    const bucket = this._buckets.get(bucketId) || {tokens: budget.CAPACITY, updated: now, budget};
+    const tokens = getTokens(bucket, budget, now);
+    const allowed = tokens >= 1;
+    const remainingTokens = allowed ? tokens - 1 : tokens;
+
+    if (!this._buckets.has(bucketId) && this._buckets.size >= SWEEP_SIZE) {
+      this._sweep(now);
+    }
+    this._buckets.set(bucketId, {tokens: remainingTokens, updated: now, budget});
+
+    return {
+      allowed,
+      remaining: Math.floor(remainingTokens),
+      retryAfter: allowed ? 0 : Math.ceil((1 - remainingTokens) / budget.RATE),
+      reset: Math.ceil((budget.CAPACITY - remainingTokens) / budget.RATE)
+    };
+  }
+
+  _sweep(now) {
+    this._buckets.forEach((bucket, bucketId) => {
+      if (getTokens(bucket, bucket.budget, now) >= bucket.budget.CAPACITY) {
+        this._buckets.delete(bucketId);
+      }
+    });
+  }
+}
+
+module.exports = MemoryRateLimitStore;
@@ -0,0 +1,32 @@
+const AbstractUsersStore = require(`./abstract-users-store`);
+const ConflictError = require(`../errors/conflict-error`);
+const {generateId} = require(`../../utils/util-functions`);
+
+class MemoryUsersStore extends AbstractUsersStore {
+  constructor(data = []) {
+    super();
+    this.data = data;
+  }
+
+  async getUser(name) {
+    return this.data.find((it) => it.name === name);
+  }
+
+  async getUserById(id) {
+    return this.data.find((it) => it.id === id);
+  }
+
+  async save(userData) {
+    if (this.data.some((it) => it.name === userData.name)) {
+      throw new ConflictError(`User "${userData.name}" already exists`);
+    }
+
+    const insertedId = generateId();
+    this.data = [...this.data, Object.assign({_id: insertedId}, userData)];
+    return {
+      insertedId
+    };
+  }
+}
+
+module.exports = MemoryUsersStore;
@@ -0,0 +1,60 @@
+const path = require(`path`);
+
+const FileApiKeysStore = require(`./file-api-keys-store`);
+const FileBookingsStore = require(`./file-bookings-store`);
+const FileImagesStore = require(`./file-images-store`);
+const FileOffersStore = require(`./file-offers-store`);
+const FileUsersStore = require(`./file-users-store`);
+const MemoryApiKeysStore = require(`./memory-api-keys-store`);
+const MemoryBookingsStore = require(`./memory-bookings-store`);
+const MemoryImagesStore = require(`./memory-images-store`);
+const MemoryOffersStore = require(`./memory-offers-store`);
+const MemoryUsersStore = require(`./memory-users-store`);
+
+const {API_KEYS_FILE_NAME,
+  BOOKINGS_FILE_NAME,
+  DEFAULT_STORAGE_PATH,
+  ImagesStoreNames,
+  OFFERS_FILE_NAME,
+  StorageTypes,
+  USERS_FILE_NAME} = require(`../server-settings`);
+
+const {STORAGE = StorageTypes.MONGO,
+  STORAGE_PATH = DEFAULT_STORAGE_PATH} = process.env;
+
+// MongoDB stores are required only when chosen, as the database connection is opened on require
+const StorageFactories = {
+  [StorageTypes.MONGO]: () => {
+    const ImagesStore = require(`./images-store`);
+    return {
+      offersStore: require(`./store`),
+      avatarStore: new ImagesStore(ImagesStoreNames.AVATARS),
+      previewStore: new ImagesStore(ImagesStoreNames.PREVIEWS),
+      bookingsStore: require(`./bookings-store`),
+      usersStore: require(`./users-store`),
+      apiKeysStore: require(`./api-keys-store`)
+    };
+  },
+  [StorageTypes.MEMORY]: () => ({
+    offersStore: new MemoryOffersStore(),
+    avatarStore: new MemoryImagesStore(ImagesStoreNames.AVATARS),
+    previewStore: new MemoryImagesStore(ImagesStoreNames.PREVIEWS),
+    bookingsStore: new MemoryBookingsStore(),
+    usersStore: new MemoryUsersStore(),
+    apiKeysStore: new MemoryApiKeysStore()
+  }),
+  [StorageTypes.FILE]: () => ({
+    offersStore: new FileOffersStore(path.join(STORAGE_PATH, OFFERS_FILE_NAME)),
+    avatarStore: new FileImagesStore(ImagesStoreNames.AVATARS, STORAGE_PATH),
+    previewStore: new FileImagesStore(ImagesStoreNames.PREVIEWS, STORAGE_PATH),
+    bookingsStore: new FileBookingsStore(path.join(STORAGE_PATH, BOOKINGS_FILE_NAME)),
+    usersStore: new FileUsersStore(path.join(STORAGE_PATH, USERS_FILE_NAME)),
+    apiKeysStore: new FileApiKeysStore(path.join(STORAGE_PATH, API_KEYS_FILE_NAME))
+  })
+};
+
+if (!StorageFactories.hasOwnProperty(STORAGE)) {
+  throw new Error(`Unknown storage "${STORAGE}". It should be one of: ${Object.values(StorageTypes).join(`, `)}`);
+}
+
+module.exports = StorageFactories[STORAGE]();
@@ -1,17 +1,39 @@
+const AbstractOffersStore = require(`./abstract-offers-store`);
 const db = require(`../../database/db`);
 
+const {generateId} = require(`../../utils/util-functions`);
+const {toStoredId} = require(`./stored-id`);
 const logger = require(`../logger`);
+const {LocationIndexBounds} = require(`../server-settings`);
+
+const LEGACY_DATE_INDEX = `date_-1`;
+
+const INDEXES = [
+  [{date: -1}],
+  [{id: 1}, {unique: true, sparse: true}],
+  [{'offer.price': 1}],
+  [{'offer.rooms': 1}],
+  [{'offer.guests': 1}],
+  [{ownerId: 1}],
+  [{location: `2d`}, {min: LocationIndexBounds.MIN, max: LocationIndexBounds.MAX}]
+];
+
+const createIndexes = (collection) => Promise.all(INDEXES.map(([keys, options]) =>
+  collection.createIndex(keys, options).catch((err) =>
+    logger.warn(`Failed to create index ${JSON.stringify(keys)}. Try to run --migrate command`, err))));
 
 const setupCollection = async () => {
   const dBase = await db;
   const collection = dBase.collection(`offers`);
 
-  collection.createIndex({date: -1}, {unique: true});
+  createIndexes(collection);
   return collection;
 };
 
-class OffersStore {
+
+class OffersStore extends AbstractOffersStore {
   constructor(collection) {
+    super();
     this.collection = collection;
   }
 
@@ -19,8 +41,21 @@ class OffersStore {
     return (await this.collection).findOne({date});
   }
 
-  async getAllOffers() {
-    return (await this.collection).find({}, {projection: {_id: void 0}});
+  async getOfferById(id) {
+    return (await this.collection).findOne({id});
+  }
+
+  async getAllOffers(query = {}, sort, projection) {
+    const cursor = (await this.collection).find(query, {projection: Object.assign({_id: void 0}, projection)});
+    return sort ? cursor.sort(sort) : cursor;
+  }
+
+  async updateOffer(_id, offerData) {
+    return (await this.collection).replaceOne({_id}, offerData);
+  }
+
+  async removeOffer(_id) {
+    return (await this.collection).deleteOne({_id});
   }
 
   async save(offerData) {
@@ -30,6 +65,63 @@ class OffersStore {
   async saveMany(offers) {
     return (await this.collection).insertMany(offers);
   }
+
+  async getStoredOffers(query = {}) {
+    return (await this.collection).find(query);
+  }
+
+  // Documents are removed instead of dropping the collection to keep its indexes
+  async removeAll() {
+    const {deletedCount} = await (await this.collection).deleteMany({});
+    return deletedCount;
+  }
+
+  async restoreOffers(offers) {
+    if (!offers.length) {
+      return 0;
+    }
+
+    const operations = offers.map((offer) => {
+      const _id = toStoredId(offer._id);
+      return {
+        replaceOne: {
+          filter: {_id},
+          replacement: Object.assign({}, offer, {_id}),
+          upsert: true
+        }
+      };
+    });
+
+    await (await this.collection).bulkWrite(operations, {ordered: false});
+    return offers.length;
+  }
+
+  // Offers were keyed by unique date before they got ids, so the unique index is replaced with the plain one
+  async migrateIndexes() {
+    const collection = await this.collection;
+    const indexes = await collection.indexes();
+    const legacyIndex = indexes.find((index) => index.name === LEGACY_DATE_INDEX && index.unique);
+
+    if (legacyIndex) {
+      await collection.dropIndex(LEGACY_DATE_INDEX);
+    }
+
+    return createIndexes(collection);
+  }
+
+  async backfillIds() {
+    const collection = await this.collection;
+    const cursor = collection.find({id: {$exists: false}}, {projection: {_id: 1}});
+    let count = 0;
+
+    while (await cursor.hasNext()) {
+      const {_id} = await cursor.next();
+      await collection.updateOne({_id}, {$set: {id: generateId()}});
+      count++;
+    }
+
+    return count;
+  }
 }
 
 module.exports = new OffersStore(setupCollection().catch((err) =>
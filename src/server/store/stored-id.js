@@ -0,0 +1,9 @@
+const {ObjectID} = require(`mongodb`);
+
+const OBJECT_ID_REGEXP = /^[0-9a-f]{24}$/;
+
+// Stored ids are exported as hex strings, so they are turned back into ObjectIDs.
+// Avatars are named by the offer stored id, so the same goes for the GridFS filenames
+const toStoredId = (_id) => (typeof _id === `string` && OBJECT_ID_REGEXP.test(_id) ? new ObjectID(_id) : _id);
+
+module.exports.toStoredId = toStoredId;
@@ -0,0 +1,48 @@
+const AbstractUsersStore = require(`./abstract-users-store`);
+const ConflictError = require(`../errors/conflict-error`);
+const db = require(`../../database/db`);
+
+const logger = require(`../logger`);
+
+const DUPLICATE_KEY_ERROR_CODE = 11000;
+
+const setupCollection = async () => {
+  const dBase = await db;
+  const collection = dBase.collection(`users`);
+
+  collection.createIndex({name: 1}, {unique: true}).catch((err) =>
+    logger.warn(`Failed to create "users" index`, err));
+  collection.createIndex({id: 1}, {unique: true}).catch((err) =>
+    logger.warn(`Failed to create "users" index`, err));
+  return collection;
+};
+
+class UsersStore extends AbstractUsersStore {
+  constructor(collection) {
+    super();
+    this.collection = collection;
+  }
+
+  async getUser(name) {
+    return await (await this.collection).findOne({name}) || void 0;
+  }
+
+  async getUserById(id) {
+    return await (await this.collection).findOne({id}) || void 0;
+  }
+
+  // Unique name index rejects the concurrent registrations of the same name
+  async save(userData) {
+    try {
+      return await (await this.collection).insertOne(userData);
+    } catch (err) {
+      if (err.code === DUPLICATE_KEY_ERROR_CODE) {
+        throw new ConflictError(`User "${userData.name}" already exists`);
+      }
+      throw err;
+    }
+  }
+}
+
+module.exports = new UsersStore(setupCollection().catch((err) =>
+  logger.error(`Failed to set up "users"-collection`, err)));
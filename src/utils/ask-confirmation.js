@@ -0,0 +1,30 @@
+const readline = require(`readline`);
+
+const {UsersBooleanAnswers} = require(`./util-constants`);
+
+// Resolves with the answer or with "n" if the input is closed before it
+const askQuestion = (rl, question) => new Promise((resolve) => {
+  const onClose = () => resolve(UsersBooleanAnswers.NO);
+
+  rl.once(`close`, onClose);
+  rl.question(`${question} (y/n) \n`, (answer) => {
+    rl.removeListener(`close`, onClose);
+    resolve(answer.trim());
+  });
+});
+
+// Repeats the question until the answer is "y" or "n", resolves with true for "y"
+module.exports.askConfirmation = async (question, input = process.stdin, output = process.stdout) => {
+  const rl = readline.createInterface({input, output});
+  let answer;
+
+  try {
+    do {
+      answer = await askQuestion(rl, question);
+    } while (answer !== UsersBooleanAnswers.YES && answer !== UsersBooleanAnswers.NO);
+  } finally {
+    rl.close();
+  }
+
+  return answer === UsersBooleanAnswers.YES;
+};
@@ -0,0 +1,72 @@
+// Minimal RFC 4180 CSV support: comma separated fields, which are quoted when they contain quotes, commas or line breaks
+const FIELD_SEPARATOR = `,`;
+const LINE_BREAK = `\r\n`;
+const QUOTE = `"`;
+const QUOTED_FIELD_REGEXP = /[",\r\n]/;
+// Spreadsheets run such fields as formulas, the apostrophe makes them read as text
+const FORMULA_PREFIX = `'`;
+const FORMULA_REGEXP = /^[=+\-@]/;
+const ESCAPED_FORMULA_REGEXP = /^'[=+\-@]/;
+
+const formatField = (value) => {
+  let field = value === undefined || value === null ? `` : String(value);
+
+  if (FORMULA_REGEXP.test(field)) {
+    field = `${FORMULA_PREFIX}${field}`;
+  }
+  return QUOTED_FIELD_REGEXP.test(field) ? `${QUOTE}${field.replace(/"/g, `""`)}${QUOTE}` : field;
+};
+
+// Returns the field the way it was before formatting
+module.exports.unescapeFormula = (field) => (ESCAPED_FORMULA_REGEXP.test(field) ? field.slice(FORMULA_PREFIX.length) : field);
+
+module.exports.formatLine = (values) => values.map(formatField).join(FIELD_SEPARATOR) + LINE_BREAK;
+
+// Returns records as arrays of fields, quoted fields may contain line breaks
+module.exports.parse = (text) => {
+  const records = [];
+  let record = [];
+  let field = ``;
+  let isQuoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (isQuoted) {
+      if (char === QUOTE && text[index + 1] === QUOTE) {
+        field += QUOTE;
+        index++;
+      } else if (char === QUOTE) {
+        isQuoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    switch (char) {
+      case QUOTE:
+        isQuoted = true;
+        break;
+      case FIELD_SEPARATOR:
+        record.push(field);
+        field = ``;
+        break;
+      case `\r`:
+        break;
+      case `\n`:
+        records.push([...record, field]);
+        record = [];
+        field = ``;
+        break;
+      default:
+        field += char;
+    }
+  }
+
+  if (field || record.length) {
+    records.push([...record, field]);
+  }
+
+  return records;
+};
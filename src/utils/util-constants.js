@@ -14,11 +14,18 @@ module.exports.COMMAND_PREFIX_LENGH = 2;
 module.exports.Commands = {
   author: `author`,
   description: `description`,
+  export: `export`,
   fill: `fill`,
   help: `help`,
+  import: `import`,
+  importBackup: `import-backup`,
   license: `license`,
+  migrate: `migrate`,
+  prune: `prune`,
+  purge: `purge`,
   server: `server`,
   version: `version`,
+  apikey: `apikey`,
 };
 module.exports.CoordinateX = {
   MIN: 300,
@@ -95,8 +102,40 @@ module.exports.RoomsNumber = {
 
 module.exports.SUCCESS_CODE = 0;
 module.exports.TIME_INTERVAL = 1000 * 60 * 60 * 24 * 7;
+
+// Seeded mock offers are dated back from this moment, so they don't depend on the generation time
+module.exports.SEEDED_DATE_NOW = Date.UTC(2018, 9, 20);
+module.exports.OFFERS_FIXTURE_SEED = 42;
 module.exports.URL_HOST = `https://robohash.org/`;
 
+// Local images of static/img/avatars, which are user01.png to user08.png
+module.exports.LocalAvatars = {
+  URL_PREFIX: `img/avatars/user`,
+  EXTENSION: `.png`,
+  COUNT: 8
+};
+
+module.exports.UUID_BYTES_LENGTH = 16;
+
+// Command flags are passed after the command name, like --purge --yes
+module.exports.CommandFlags = {
+  YES: `--yes`,
+  SEED: `--seed`,
+  OLDER_THAN: `--older-than`,
+  PROFILE: `--profile`,
+  QUOTA: `--quota`,
+  WITH_BOOKINGS: `--with-bookings`
+};
+
+// Durations like 30d or 12h, the value is the unit length in milliseconds
+module.exports.DURATION_REGEXP = /^(\d+)([mhdw])$/;
+module.exports.DurationUnits = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
 module.exports.UsersBooleanAnswers = {
   YES: `y`,
   NO: `n`
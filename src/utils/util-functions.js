@@ -1,9 +1,121 @@
+const crypto = require(`crypto`);
+
+const logger = require(`../server/logger`);
 const {RANDOM_STRING_RADIX,
-  BEGIN_SLICE_INDEX} = require(`./util-constants`);
+  BEGIN_SLICE_INDEX,
+  SEEDED_DATE_NOW,
+  UUID_BYTES_LENGTH} = require(`./util-constants`);
+
+// Random numbers source of the mock data functions, it is replaced with the seeded one by withRandomSeed
+let random = Math.random;
+let getDateNow = Date.now;
+
+// Mulberry32 generator, small 32-bit PRNG which is good enough for the mock data
+const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let value = Math.imul(state ^ (state >>> 15), state | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 0x100000000;
+  };
+};
+
+// Numeric seeds are used as they are, the other strings are hashed with FNV-1a
+const getSeedNumber = (seed) => {
+  const number = Number(seed);
+
+  if (Number.isInteger(number)) {
+    return number;
+  }
+
+  return String(seed).split(``).reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 0x01000193), 0x811C9DC5);
+};
+
+// Runs fn with the random functions seeded, so the same seed gives the same result. Dates are counted
+// from the fixed moment instead of now. Without the seed fn is run as it is
+module.exports.withRandomSeed = (seed, fn) => {
+  if (seed === undefined || seed === ``) {
+    return fn();
+  }
+
+  const previousRandom = random;
+  const previousGetDateNow = getDateNow;
+
+  random = createSeededRandom(getSeedNumber(seed));
+  getDateNow = () => SEEDED_DATE_NOW;
+
+  try {
+    return fn();
+  } finally {
+    random = previousRandom;
+    getDateNow = previousGetDateNow;
+  }
+};
 
 module.exports.asyncMiddleware = (fn) => (req, res, next) => fn(req, res, next).catch(next);
 
-module.exports.doesAcceptHtml = (req) => req.accepts([`json`, `html`]) === `html`;
+// Response formats registry. Format is requested with its media type in Accept header or with its name in "format" parameter
+const ResponseFormats = {
+  json: `application/json`,
+  html: `text/html`
+};
+
+module.exports.registerFormat = (name, mediaType) => {
+  ResponseFormats[name] = mediaType;
+};
+
+// Returns the requested one of the formats, the first one is the default
+const getResponseFormat = (req, formats) => {
+  const {format} = req.query || {};
+
+  if (formats.includes(format)) {
+    return format;
+  }
+
+  const mediaType = req.accepts(formats.map((it) => ResponseFormats[it]));
+  return formats.find((it) => ResponseFormats[it] === mediaType) || formats[0];
+};
+
+module.exports.getResponseFormat = getResponseFormat;
+
+// Sends the result of the requested format formatter, formatters are keyed by the format names.
+// Formatter may resolve with a stream, which is piped to the response
+module.exports.sendFormatted = async (req, res, formatters) => {
+  const format = getResponseFormat(req, Object.keys(formatters));
+  const body = await formatters[format]();
+
+  res.vary(`Accept`);
+  res.type(ResponseFormats[format]);
+
+  if (body && typeof body.pipe === `function`) {
+    // Ending the response would look like the complete body, so the connection is destroyed instead
+    body.on(`error`, (err) => {
+      logger.error(`Failed to stream the response of ${req.originalUrl}`, err);
+      res.destroy(err);
+    });
+    body.pipe(res);
+    return;
+  }
+
+  res.send(body);
+};
+
+module.exports.doesAcceptHtml = (req) => getResponseFormat(req, [`json`, `html`]) === `html`;
+
+const getRandomBytes = (length) => (random === Math.random ?
+  crypto.randomBytes(length) : Buffer.from(Array(length).fill(null).map(() => Math.floor(random() * 256))));
+
+// Returns random version 4 UUID, used as an opaque offer id
+module.exports.generateId = () => {
+  const bytes = getRandomBytes(UUID_BYTES_LENGTH);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+  const hex = bytes.toString(`hex`);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
 
 module.exports.makeArray = (stringOrArray) => {
   if (stringOrArray) {
@@ -14,20 +126,26 @@ module.exports.makeArray = (stringOrArray) => {
 
 
 module.exports.getDate = (timeInterval) => {
-  const dateNow = Date.now();
+  const dateNow = getDateNow();
 
   return getRandomInteger(dateNow, dateNow - timeInterval);
 };
 
 // Returns random integer between min and max inclusive
-const getRandomInteger = (min, max) => Math.floor(Math.random() *
+const getRandomInteger = (min, max) => Math.floor(random() *
   (max + 1 - min) + min);
 module.exports.getRandomInteger = getRandomInteger;
 
+module.exports.getRandomBoolean = (probability = 0.5) => random() < probability;
+
+// Returns normally distributed number, Box-Muller transform
+module.exports.getRandomNormal = (mean, deviation) =>
+  mean + deviation * Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
 const getRandomArrayItem = (array) => array[getRandomInteger(0, array.length - 1)];
 module.exports.getRandomArrayItem = getRandomArrayItem;
 
-module.exports.getRandomString = () => Math.random().toString(RANDOM_STRING_RADIX).slice(BEGIN_SLICE_INDEX);
+module.exports.getRandomString = () => random().toString(RANDOM_STRING_RADIX).slice(BEGIN_SLICE_INDEX);
 
 module.exports.getUniqueArray = (array) => {
   const newFeatures = [];
@@ -43,7 +161,7 @@ module.exports.shuffleArray = (array) => {
   let currentIndex = newArray.length;
 
   while (currentIndex !== 0) {
-    const randomIndex = Math.floor(Math.random() * currentIndex);
+    const randomIndex = Math.floor(random() * currentIndex);
     --currentIndex;
     [newArray[currentIndex], newArray[randomIndex]] = [newArray[randomIndex], newArray[currentIndex]];
   }
@@ -0,0 +1,160 @@
+const request = require(`supertest`);
+const assert = require(`assert`);
+const express = require(`express`);
+
+const {createApiKey,
+  getSecondsTillNextDay,
+  getUsageDay} = require(`../src/server/auth/api-keys`);
+const {createToken} = require(`../src/server/auth/token`);
+const MemoryApiKeysStore = require(`../src/server/store/memory-api-keys-store`);
+const MemoryBookingsStore = require(`../src/server/store/memory-bookings-store`);
+const MemoryImagesStore = require(`../src/server/store/memory-images-store`);
+const MemoryOffersStore = require(`../src/server/store/memory-offers-store`);
+
+const {ApiKeySettings,
+  DEFAULT_PATH,
+  ImagesStoreNames,
+  KEYS_PATH,
+  StatusCodes} = require(`./../src/server/server-settings`);
+
+const TEST_USER = {
+  id: `partner-user-id`,
+  name: `Partner`
+};
+
+const OTHER_USER = {
+  id: `other-user-id`,
+  name: `Keks`
+};
+
+const VALID_POST_OFFER = {
+  title: `Small flat in the city centre near the Central Park`,
+  address: `570, 472`,
+  price: 30000,
+  type: `flat`,
+  rooms: 1,
+  guests: 1,
+  checkin: `12:00`,
+  checkout: `12:00`
+};
+
+describe(`API keys`, () => {
+  let apiKeysStore;
+  let offersStore;
+  let app;
+  let testKey;
+
+  const postOffer = (key) => request(app)
+    .post(DEFAULT_PATH)
+    .set(ApiKeySettings.HEADER, key)
+    .send(VALID_POST_OFFER)
+    .set(`Accept`, `application/json`);
+
+  const getUsage = (headerName, headerValue) => request(app)
+    .get(`${KEYS_PATH}/usage`)
+    .set(headerName, headerValue)
+    .set(`Accept`, `application/json`);
+
+  beforeEach(async () => {
+    const {key, keyData} = createApiKey(TEST_USER, 2);
+    testKey = key;
+
+    apiKeysStore = new MemoryApiKeysStore();
+    await apiKeysStore.save(keyData);
+    await apiKeysStore.save(createApiKey(OTHER_USER).keyData);
+
+    offersStore = new MemoryOffersStore();
+    app = express();
+    app.use(DEFAULT_PATH, require(`../src/server/routes/router`)(
+        offersStore,
+        new MemoryImagesStore(ImagesStoreNames.AVATARS),
+        new MemoryImagesStore(ImagesStoreNames.PREVIEWS),
+        new MemoryBookingsStore(),
+        apiKeysStore
+    ));
+    app.use(KEYS_PATH, require(`../src/server/auth/keys-router`)(apiKeysStore));
+  });
+
+  it(`should keep only the hash and the prefix of the key`, () => {
+    assert.ok(!JSON.stringify(apiKeysStore.data).includes(testKey));
+    assert.strictEqual(apiKeysStore.data[0].prefix, testKey.slice(0, ApiKeySettings.PREFIX_LENGTH));
+  });
+
+  it(`should post the offer as the key user and count the request`, async () => {
+    await postOffer(testKey).expect(StatusCodes.OK);
+
+    const [savedOffer] = offersStore.data;
+    assert.strictEqual(savedOffer.ownerId, TEST_USER.id);
+    assert.strictEqual(savedOffer.author.name, TEST_USER.name);
+
+    const [keyData] = await apiKeysStore.getKeys(TEST_USER.id);
+    assert.deepStrictEqual(keyData.usage, {[getUsageDay()]: 1});
+    assert.strictEqual(keyData.total, 1);
+  });
+
+  it(`should not accept the wrong or revoked key`, async () => {
+    await postOffer(`wrong-key`).expect(StatusCodes.UNAUTHORIZED);
+
+    const [keyData] = await apiKeysStore.getKeys(TEST_USER.id);
+    assert.strictEqual(await apiKeysStore.revokeKey(keyData.id, Date.now()), 1);
+    assert.strictEqual(await apiKeysStore.revokeKey(keyData.id, Date.now()), 0);
+
+    await postOffer(testKey).expect(StatusCodes.UNAUTHORIZED);
+    assert.strictEqual(offersStore.data.length, 0);
+  });
+
+  it(`should not accept requests over the daily quota till the next day`, async () => {
+    await postOffer(testKey).expect(StatusCodes.OK);
+    await postOffer(testKey).expect(StatusCodes.OK);
+
+    const response = await postOffer(testKey).expect(StatusCodes.TOO_MANY_REQUESTS);
+
+    assert.ok(Number(response.headers[`retry-after`]) <= getSecondsTillNextDay());
+    assert.strictEqual(offersStore.data.length, 2);
+  });
+
+  it(`should not let the concurrent requests exceed the quota`, async () => {
+    const responses = await Promise.all([1, 2, 3, 4].map(() => postOffer(testKey)));
+
+    assert.deepStrictEqual(responses.map((it) => it.status).sort(), [
+      StatusCodes.OK, StatusCodes.OK, StatusCodes.TOO_MANY_REQUESTS, StatusCodes.TOO_MANY_REQUESTS
+    ]);
+    assert.strictEqual(offersStore.data.length, 2);
+  });
+
+  it(`should count the usage within the quota only`, async () => {
+    const [keyData] = await apiKeysStore.getKeys(TEST_USER.id);
+    const day = getUsageDay();
+    const counts = await Promise.all([1, 2, 3].map(() => apiKeysStore.countUsage(keyData.id, day, keyData.quota, Date.now())));
+
+    assert.deepStrictEqual(counts, [1, 1, 0]);
+    assert.deepStrictEqual((await apiKeysStore.getKeys(TEST_USER.id))[0].usage, {[day]: 2});
+
+    await apiKeysStore.revokeKey(keyData.id, Date.now());
+    assert.strictEqual(await apiKeysStore.countUsage(keyData.id, getUsageDay(Date.now() + 24 * 60 * 60 * 1000), keyData.quota, Date.now()), 0);
+  });
+
+  it(`should show the usage of the request key`, async () => {
+    const response = await getUsage(ApiKeySettings.HEADER, testKey).expect(StatusCodes.OK);
+
+    assert.deepStrictEqual(response.body.map((it) => [it.userName, it.quota, it.usedToday, it.remainingToday, it.total]), [
+      [TEST_USER.name, 2, 1, 1, 1]
+    ]);
+  });
+
+  it(`should show the usage of all the user keys only`, async () => {
+    const token = createToken({sub: OTHER_USER.id, name: OTHER_USER.name});
+    const response = await getUsage(`Authorization`, `Bearer ${token}`).expect(StatusCodes.OK);
+
+    assert.deepStrictEqual(response.body.map((it) => [it.userName, it.quota, it.usedToday]), [
+      [OTHER_USER.name, ApiKeySettings.DAILY_QUOTA, 0]
+    ]);
+  });
+
+  it(`should not show the usage without authorization`, async () => {
+    await request(app)
+      .get(`${KEYS_PATH}/usage`)
+      .set(`Accept`, `application/json`)
+      .expect(StatusCodes.UNAUTHORIZED);
+  });
+});
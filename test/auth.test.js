@@ -0,0 +1,221 @@
+const request = require(`supertest`);
+const assert = require(`assert`);
+const express = require(`express`);
+
+const {createToken,
+  verifyToken} = require(`../src/server/auth/token`);
+const {hashPassword,
+  verifyPassword} = require(`../src/server/auth/password`);
+const MemoryBookingsStore = require(`../src/server/store/memory-bookings-store`);
+const MemoryImagesStore = require(`../src/server/store/memory-images-store`);
+const MemoryOffersStore = require(`../src/server/store/memory-offers-store`);
+const MemoryUsersStore = require(`../src/server/store/memory-users-store`);
+
+const {AUTH_PATH,
+  DEFAULT_PATH,
+  ImagesStoreNames,
+  ME_PATH,
+  StatusCodes,
+  ValidateErrorMessage} = require(`./../src/server/server-settings`);
+
+const TEST_SECRET = `test-secret`;
+
+const TEST_USER = {
+  name: `Anna`,
+  password: `correct horse battery`
+};
+
+const VALID_POST_OFFER = {
+  name: `Somebody else`,
+  title: `Small flat in the city centre near the Central Park`,
+  address: `570, 472`,
+  price: 30000,
+  type: `flat`,
+  rooms: 1,
+  guests: 1,
+  checkin: `12:00`,
+  checkout: `12:00`
+};
+
+describe(`Tokens`, () => {
+  it(`should give back the signed claims with the issue and expiration times`, () => {
+    const claims = verifyToken(createToken({sub: `user-id`}, TEST_SECRET, 60), TEST_SECRET);
+
+    assert.strictEqual(claims.sub, `user-id`);
+    assert.strictEqual(claims.exp - claims.iat, 60);
+  });
+
+  it(`should not accept the token signed with the other secret`, () => {
+    assert.strictEqual(verifyToken(createToken({sub: `user-id`}, `other-secret`), TEST_SECRET), undefined);
+  });
+
+  it(`should not accept the token with the changed claims`, () => {
+    const [header, , signature] = createToken({sub: `user-id`}, TEST_SECRET).split(`.`);
+    const forgedPayload = Buffer.from(JSON.stringify({sub: `admin-id`, exp: Date.now()})).toString(`base64`);
+
+    assert.strictEqual(verifyToken(`${header}.${forgedPayload}.${signature}`, TEST_SECRET), undefined);
+  });
+
+  it(`should not accept the expired or malformed token`, () => {
+    assert.strictEqual(verifyToken(createToken({sub: `user-id`}, TEST_SECRET, -1), TEST_SECRET), undefined);
+    assert.strictEqual(verifyToken(`not.a.token`, TEST_SECRET), undefined);
+    assert.strictEqual(verifyToken(void 0, TEST_SECRET), undefined);
+  });
+});
+
+describe(`Passwords`, () => {
+  it(`should be hashed with the random salt and verified`, async () => {
+    const firstHash = await hashPassword(TEST_USER.password);
+    const secondHash = await hashPassword(TEST_USER.password);
+
+    assert.notStrictEqual(firstHash.hash, secondHash.hash);
+    assert.ok(!JSON.stringify(firstHash).includes(TEST_USER.password));
+    assert.strictEqual(await verifyPassword(TEST_USER.password, firstHash), true);
+    assert.strictEqual(await verifyPassword(`wrong password`, firstHash), false);
+  });
+});
+
+describe(`Authorization with ${AUTH_PATH}`, () => {
+  let usersStore;
+  let offersStore;
+  let app;
+
+  const register = (user) => request(app)
+    .post(`${AUTH_PATH}/register`)
+    .send(user)
+    .set(`Accept`, `application/json`);
+
+  const login = (user) => request(app)
+    .post(`${AUTH_PATH}/login`)
+    .send(user)
+    .set(`Accept`, `application/json`);
+
+  beforeEach(() => {
+    usersStore = new MemoryUsersStore();
+    offersStore = new MemoryOffersStore();
+    app = express();
+    app.use(AUTH_PATH, require(`../src/server/auth/auth-router`)(usersStore));
+    app.use(ME_PATH, require(`../src/server/routes/me-router`)(offersStore));
+    app.use(DEFAULT_PATH, require(`../src/server/routes/router`)(
+        offersStore,
+        new MemoryImagesStore(ImagesStoreNames.AVATARS),
+        new MemoryImagesStore(ImagesStoreNames.PREVIEWS),
+        new MemoryBookingsStore()
+    ));
+  });
+
+  it(`should register the user keeping the password hashed`, async () => {
+    const response = await register(TEST_USER).expect(StatusCodes.OK);
+
+    assert.strictEqual(response.body.name, TEST_USER.name);
+    assert.strictEqual(verifyToken(response.body.token).sub, response.body.id);
+    assert.strictEqual(usersStore.data.length, 1);
+    assert.ok(!JSON.stringify(usersStore.data).includes(TEST_USER.password));
+  });
+
+  it(`should not register the same name twice`, async () => {
+    await register(TEST_USER).expect(StatusCodes.OK);
+    await register(TEST_USER).expect(StatusCodes.CONFLICT);
+  });
+
+  it(`should register the name only once for the concurrent requests`, async () => {
+    const responses = await Promise.all([register(TEST_USER), register(TEST_USER)]);
+
+    assert.deepStrictEqual(responses.map((it) => it.status).sort(), [StatusCodes.OK, StatusCodes.CONFLICT]);
+    assert.strictEqual(usersStore.data.length, 1);
+  });
+
+  it(`should not register the user with too short password`, async () => {
+    const response = await register({name: TEST_USER.name, password: `short`}).expect(StatusCodes.BAD_REQUEST);
+
+    assert.deepStrictEqual(response.body.map((it) => it.fieldName), [`password`]);
+    assert.strictEqual(response.body[0].errorMessage, ValidateErrorMessage.PASSWORD);
+  });
+
+  it(`should not register the user with the sent file`, async () => {
+    const response = await request(app)
+      .post(`${AUTH_PATH}/register`)
+      .field(`name`, TEST_USER.name)
+      .field(`password`, TEST_USER.password)
+      .attach(`avatar`, Buffer.from(`avatar`), `avatar.png`)
+      .set(`Accept`, `application/json`)
+      .expect(StatusCodes.BAD_REQUEST);
+
+    assert.deepStrictEqual(response.body.map((it) => [it.fieldName, it.errorMessage]), [[`avatar`, ValidateErrorMessage.UNEXPECTED_FILE]]);
+    assert.strictEqual(usersStore.data.length, 0);
+  });
+
+  it(`should log the user in with the right password only`, async () => {
+    const {body: registered} = await register(TEST_USER).expect(StatusCodes.OK);
+
+    const response = await login(TEST_USER).expect(StatusCodes.OK);
+    assert.strictEqual(verifyToken(response.body.token).sub, registered.id);
+
+    await login({name: TEST_USER.name, password: `wrong password`}).expect(StatusCodes.UNAUTHORIZED);
+    await login({name: `Nobody`, password: TEST_USER.password}).expect(StatusCodes.UNAUTHORIZED);
+  });
+
+  it(`should not post the offer without the token`, async () => {
+    await request(app)
+      .post(DEFAULT_PATH)
+      .send(VALID_POST_OFFER)
+      .set(`Accept`, `application/json`)
+      .expect(StatusCodes.UNAUTHORIZED)
+      .expect(`WWW-Authenticate`, `Bearer`);
+
+    assert.strictEqual(offersStore.data.length, 0);
+  });
+
+  it(`should not accept the wrong token`, async () => {
+    await request(app)
+      .post(DEFAULT_PATH)
+      .set(`Authorization`, `Bearer ${createToken({sub: `user-id`, name: `Anna`}, `other-secret`)}`)
+      .send(VALID_POST_OFFER)
+      .set(`Accept`, `application/json`)
+      .expect(StatusCodes.UNAUTHORIZED);
+  });
+
+  it(`should stamp the posted offer with the owner id and name`, async () => {
+    const {body: session} = await register(TEST_USER).expect(StatusCodes.OK);
+
+    await request(app)
+      .post(DEFAULT_PATH)
+      .set(`Authorization`, `Bearer ${session.token}`)
+      .send(VALID_POST_OFFER)
+      .set(`Accept`, `application/json`)
+      .expect(StatusCodes.OK);
+
+    const [savedOffer] = offersStore.data;
+    assert.strictEqual(savedOffer.ownerId, session.id);
+    assert.strictEqual(savedOffer.author.name, TEST_USER.name);
+  });
+});
+
+describe(`GET ${ME_PATH}/offers`, () => {
+  const OWNER_ID = `owner-user-id`;
+  const ownOffers = [1, 2, 3].map((index) => ({id: `own-${index}`, date: index, ownerId: OWNER_ID}));
+  const otherOffer = {id: `other`, date: 4, ownerId: `other-user-id`};
+
+  const app = express();
+  app.use(ME_PATH, require(`../src/server/routes/me-router`)(new MemoryOffersStore([...ownOffers, otherOffer])));
+
+  const getOwnOffers = (query) => request(app)
+    .get(`${ME_PATH}/offers`)
+    .query(query)
+    .set(`Authorization`, `Bearer ${createToken({sub: OWNER_ID, name: `Anna`})}`)
+    .set(`Accept`, `application/json`);
+
+  it(`should list the offers of the authorized user only by pages`, async () => {
+    const response = await getOwnOffers({skip: 1, limit: 1, sort: `-date`}).expect(StatusCodes.OK);
+
+    assert.deepStrictEqual(response.body.data.map((it) => it.id), [`own-2`]);
+    assert.deepStrictEqual([response.body.skip, response.body.limit, response.body.total], [1, 1, 3]);
+  });
+
+  it(`should not list the offers without authorization`, async () => {
+    await request(app)
+      .get(`${ME_PATH}/offers`)
+      .set(`Accept`, `application/json`)
+      .expect(StatusCodes.UNAUTHORIZED);
+  });
+});
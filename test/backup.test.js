@@ -0,0 +1,121 @@
+const assert = require(`assert`);
+const fs = require(`fs`);
+const path = require(`path`);
+const toStream = require(`buffer-to-stream`);
+const {ObjectID} = require(`mongodb`);
+
+const {exportBackup,
+  importBackup} = require(`../src/server/store/backup`);
+const MemoryImagesStore = require(`../src/server/store/memory-images-store`);
+const MemoryOffersStore = require(`../src/server/store/memory-offers-store`);
+const {BackupSettings,
+  ImagesStoreNames} = require(`../src/server/server-settings`);
+const {readStream} = require(`../src/server/store/image-utils`);
+const GridFsImagesStoreMock = require(`./mock/grid-fs-images-store-mock`);
+const {createTempDir,
+  removeDir} = require(`./mock/temp-dir`);
+const {createTestOffer} = require(`./mock/test-offer`);
+
+const TEST_OFFER = createTestOffer({_id: `test-offer-object-id`});
+
+const IMAGE = Buffer.from(`image content`);
+
+const createStores = () => ({
+  offersStore: new MemoryOffersStore(),
+  avatarStore: new MemoryImagesStore(ImagesStoreNames.AVATARS),
+  previewStore: new MemoryImagesStore(ImagesStoreNames.PREVIEWS)
+});
+
+const createGridFsStores = () => ({
+  offersStore: new MemoryOffersStore(),
+  avatarStore: new GridFsImagesStoreMock(ImagesStoreNames.AVATARS),
+  previewStore: new GridFsImagesStoreMock(ImagesStoreNames.PREVIEWS)
+});
+
+describe(`Backup`, () => {
+  const tempPath = createTempDir();
+  const backupPath = path.join(tempPath, `backup`);
+  let manifest;
+
+  after(() => removeDir(tempPath));
+
+  before(async () => {
+    const stores = createStores();
+    await stores.offersStore.restoreOffers([TEST_OFFER]);
+    await stores.avatarStore.save(TEST_OFFER._id, toStream(IMAGE), {contentType: `image/png`, originalName: `avatar.png`});
+    await stores.previewStore.save(`${TEST_OFFER._id}-0`, toStream(IMAGE), {contentType: `image/png`});
+
+    manifest = await exportBackup(stores, backupPath);
+  });
+
+  it(`writes the manifest with counts and checksums`, () => {
+    const savedManifest = JSON.parse(fs.readFileSync(path.join(backupPath, BackupSettings.MANIFEST_FILE_NAME), `utf8`));
+
+    assert.deepStrictEqual(savedManifest, JSON.parse(JSON.stringify(manifest)));
+    assert.deepStrictEqual(manifest.counts, {offers: 1, avatars: 1, previews: 1});
+    assert.ok(manifest.offers.checksum);
+    assert.strictEqual(manifest.images.avatars[0].filename, TEST_OFFER._id);
+    assert.ok(manifest.images.avatars[0].checksum);
+  });
+
+  it(`writes offers as NDJSON`, () => {
+    const lines = fs.readFileSync(path.join(backupPath, BackupSettings.OFFERS_FILE_NAME), `utf8`).trim().split(`\n`);
+
+    assert.deepStrictEqual(lines.map((it) => JSON.parse(it)), [TEST_OFFER]);
+  });
+
+  it(`restores offers and images`, async () => {
+    const stores = createStores();
+    const result = await importBackup(stores, backupPath);
+
+    assert.deepStrictEqual(result, {
+      offers: 1,
+      avatars: {restored: 1, skipped: 0},
+      previews: {restored: 1, skipped: 0}
+    });
+    assert.deepStrictEqual(await stores.offersStore.getOfferById(TEST_OFFER.id), TEST_OFFER);
+
+    const avatar = await stores.avatarStore.get(TEST_OFFER._id);
+    assert.deepStrictEqual(await readStream(avatar.stream), IMAGE);
+    assert.strictEqual(avatar.info.metadata.originalName, `avatar.png`);
+  });
+
+  it(`restores the same backup again without duplicates`, async () => {
+    const stores = createStores();
+    await importBackup(stores, backupPath);
+    const result = await importBackup(stores, backupPath);
+
+    assert.deepStrictEqual(result.avatars, {restored: 0, skipped: 1});
+    assert.strictEqual((await (await stores.offersStore.getStoredOffers()).toArray()).length, 1);
+  });
+
+  it(`restores images named by ObjectIDs under the same names`, async () => {
+    const objectIdPath = `${backupPath}-object-id`;
+    const avatarId = new ObjectID();
+    const exportedStores = createGridFsStores();
+    await exportedStores.avatarStore.save(avatarId, toStream(IMAGE), {contentType: `image/png`});
+    await exportBackup(exportedStores, objectIdPath);
+
+    const stores = createGridFsStores();
+    await importBackup(stores, objectIdPath);
+    const result = await importBackup(stores, objectIdPath);
+
+    assert.deepStrictEqual(result.avatars, {restored: 0, skipped: 1});
+    assert.strictEqual((await stores.avatarStore.getAll()).length, 1);
+    assert.deepStrictEqual(await readStream((await stores.avatarStore.get(avatarId)).stream), IMAGE);
+  });
+
+  it(`doesn't restore the corrupted backup`, async () => {
+    const corruptedPath = `${backupPath}-corrupted`;
+    fs.mkdirSync(corruptedPath);
+    fs.writeFileSync(path.join(corruptedPath, BackupSettings.MANIFEST_FILE_NAME), JSON.stringify(manifest));
+    fs.writeFileSync(path.join(corruptedPath, BackupSettings.OFFERS_FILE_NAME), `{}\n`);
+
+    const stores = createStores();
+
+    const error = await importBackup(stores, corruptedPath).catch((err) => err);
+
+    assert.ok(/corrupted/.test(error.message));
+    assert.strictEqual((await (await stores.offersStore.getStoredOffers()).toArray()).length, 0);
+  });
+});
@@ -0,0 +1,323 @@
+const request = require(`supertest`);
+const assert = require(`assert`);
+const express = require(`express`);
+
+const {createToken} = require(`../src/server/auth/token`);
+const {OffersStoreMock} = require(`./mock/offers-store-mock`);
+const {createTestOffer} = require(`./mock/test-offer`);
+const MemoryOffersStore = require(`../src/server/store/memory-offers-store`);
+const MemoryBookingsStore = require(`../src/server/store/memory-bookings-store`);
+const MemoryImagesStore = require(`../src/server/store/memory-images-store`);
+
+const {DEFAULT_PATH,
+  ImagesStoreNames,
+  StatusCodes,
+  UserRoles,
+  ValidateErrorMessage} = require(`./../src/server/server-settings`);
+
+const MS_IN_DAY = 1000 * 60 * 60 * 24;
+const TEST_DATE = 1540000000000;
+const TEST_ID = `3f1c7b52-8a4e-4d6b-9f0a-2c5e7d9b1a36`;
+const OWNER_ID = `owner-id`;
+const GUEST_ID = `guest-id`;
+
+const getAuthorization = (id, role = UserRoles.USER) => `Bearer ${createToken({sub: id, name: `Anna`, role})}`;
+const GUEST_AUTHORIZATION = getAuthorization(GUEST_ID);
+
+const TEST_OFFER = createTestOffer({
+  _id: `test-offer-object-id`,
+  offer: {
+    rooms: 2,
+    guests: 2,
+    checkin: `14:00`
+  },
+  date: TEST_DATE,
+  id: TEST_ID,
+  ownerId: OWNER_ID
+});
+
+// Returns YYYY-MM-DD date the days number after today
+const getBookingDate = (days) => new Date(Date.now() + days * MS_IN_DAY).toISOString().slice(0, 10);
+
+const BOOKINGS_PATH = `${DEFAULT_PATH}/id/${TEST_ID}/bookings`;
+
+// Gives the concurrent requests the time to check the overlapping bookings before any of them is saved
+class SlowBookingsStore extends MemoryBookingsStore {
+  async getOverlappingBookings(offerId, start, end) {
+    const bookings = await super.getOverlappingBookings(offerId, start, end);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    return bookings;
+  }
+}
+
+describe(`Bookings of ${DEFAULT_PATH}/:date`, () => {
+  let bookingsStore;
+  let app;
+
+  const postBooking = (booking, authorization = GUEST_AUTHORIZATION) => request(app)
+    .post(BOOKINGS_PATH)
+    .send(booking)
+    .set(`Authorization`, authorization)
+    .set(`Accept`, `application/json`)
+    .set(`Content-Type`, `application/json`);
+
+  const cancelBooking = (bookingId, authorization) => {
+    const deleteRequest = request(app)
+      .delete(`${BOOKINGS_PATH}/${bookingId}`)
+      .set(`Accept`, `application/json`);
+    return authorization ? deleteRequest.set(`Authorization`, authorization) : deleteRequest;
+  };
+
+  beforeEach(() => {
+    bookingsStore = new MemoryBookingsStore();
+    const offersRoute = require(`../src/server/routes/router`)(
+        new OffersStoreMock([TEST_OFFER]),
+        new MemoryImagesStore(ImagesStoreNames.AVATARS),
+        new MemoryImagesStore(ImagesStoreNames.PREVIEWS),
+        bookingsStore
+    );
+    app = express();
+    app.use(DEFAULT_PATH, offersRoute);
+  });
+
+  it(`books offer for the date range`, async () => {
+    const response = await postBooking({checkin: getBookingDate(1), checkout: getBookingDate(3), guests: 2})
+      .expect(StatusCodes.OK)
+      .expect(`Content-Type`, /json/);
+
+    assert.strictEqual(response.body.offerId, TEST_ID);
+    assert.strictEqual(response.body.userId, GUEST_ID);
+    assert.strictEqual(response.body.guests, 2);
+    assert.ok(response.body.id);
+  });
+
+  it(`lists offer bookings`, async () => {
+    await postBooking({checkin: getBookingDate(5), checkout: getBookingDate(6), guests: 1}).expect(StatusCodes.OK);
+    await postBooking({checkin: getBookingDate(1), checkout: getBookingDate(3), guests: 1}).expect(StatusCodes.OK);
+
+    const response = await request(app)
+      .get(`${DEFAULT_PATH}/${TEST_DATE}/bookings`)
+      .set(`Accept`, `application/json`)
+      .expect(StatusCodes.OK)
+      .expect(`Content-Type`, /json/);
+
+    assert.deepStrictEqual(response.body.map((it) => it.checkin), [getBookingDate(1), getBookingDate(5)]);
+  });
+
+  it(`doesn't book offer for the overlapping dates`, async () => {
+    await postBooking({checkin: getBookingDate(1), checkout: getBookingDate(4), guests: 1}).expect(StatusCodes.OK);
+
+    return await postBooking({checkin: getBookingDate(3), checkout: getBookingDate(5), guests: 1})
+      .expect(StatusCodes.CONFLICT)
+      .expect(`Content-Type`, /json/);
+  });
+
+  it(`books offer only once for the concurrent overlapping requests`, async () => {
+    bookingsStore = new SlowBookingsStore();
+    app = express();
+    app.use(DEFAULT_PATH, require(`../src/server/routes/router`)(
+        new OffersStoreMock([TEST_OFFER]),
+        new MemoryImagesStore(ImagesStoreNames.AVATARS),
+        new MemoryImagesStore(ImagesStoreNames.PREVIEWS),
+        bookingsStore
+    ));
+
+    const responses = await Promise.all([
+      postBooking({checkin: getBookingDate(1), checkout: getBookingDate(4), guests: 1}),
+      postBooking({checkin: getBookingDate(2), checkout: getBookingDate(5), guests: 1})
+    ]);
+
+    assert.deepStrictEqual(responses.map((it) => it.status).sort(), [StatusCodes.OK, StatusCodes.CONFLICT]);
+    assert.strictEqual((await bookingsStore.getBookings(TEST_ID)).length, 1);
+  });
+
+  it(`books offer from the checkout day of the previous booking`, async () => {
+    await postBooking({checkin: getBookingDate(1), checkout: getBookingDate(3), guests: 1}).expect(StatusCodes.OK);
+
+    return await postBooking({checkin: getBookingDate(3), checkout: getBookingDate(5), guests: 1})
+      .expect(StatusCodes.OK);
+  });
+
+  it(`doesn't book offer for more guests than it can take`, async () => {
+    const response = await postBooking({checkin: getBookingDate(1), checkout: getBookingDate(3), guests: 3})
+      .expect(StatusCodes.BAD_REQUEST)
+      .expect(`Content-Type`, /json/);
+
+    assert.strictEqual(response.body[0].fieldName, `guests`);
+  });
+
+  it(`books offer saved without guests for as many guests as its rooms take`, async () => {
+    const legacyOffer = Object.assign({}, TEST_OFFER, {
+      offer: Object.assign({}, TEST_OFFER.offer, {guests: void 0})
+    });
+    app = express();
+    app.use(DEFAULT_PATH, require(`../src/server/routes/router`)(
+        new OffersStoreMock([legacyOffer]),
+        new MemoryImagesStore(ImagesStoreNames.AVATARS),
+        new MemoryImagesStore(ImagesStoreNames.PREVIEWS),
+        bookingsStore
+    ));
+
+    const response = await postBooking({checkin: getBookingDate(1), checkout: getBookingDate(3), guests: 3})
+      .expect(StatusCodes.BAD_REQUEST)
+      .expect(`Content-Type`, /json/);
+
+    assert.strictEqual(response.body[0].errorMessage, `${ValidateErrorMessage.BOOKING_GUESTS} ${legacyOffer.offer.rooms}`);
+    await postBooking({checkin: getBookingDate(1), checkout: getBookingDate(3), guests: 2}).expect(StatusCodes.OK);
+  });
+
+  it(`doesn't book offer with the sent file`, async () => {
+    const response = await request(app)
+      .post(BOOKINGS_PATH)
+      .set(`Authorization`, GUEST_AUTHORIZATION)
+      .field(`checkin`, getBookingDate(1))
+      .field(`checkout`, getBookingDate(3))
+      .field(`guests`, 1)
+      .attach(`passport`, Buffer.from(`passport`), `passport.png`)
+      .set(`Accept`, `application/json`)
+      .expect(StatusCodes.BAD_REQUEST)
+      .expect(`Content-Type`, /json/);
+
+    assert.deepStrictEqual(response.body.map((it) => [it.fieldName, it.errorMessage]), [[`passport`, ValidateErrorMessage.UNEXPECTED_FILE]]);
+  });
+
+  it(`doesn't book offer with checkout before checkin`, async () => {
+    const response = await postBooking({checkin: getBookingDate(3), checkout: getBookingDate(1), guests: 1})
+      .expect(StatusCodes.BAD_REQUEST)
+      .expect(`Content-Type`, /json/);
+
+    assert.strictEqual(response.body[0].errorMessage, ValidateErrorMessage.BOOKING_CHECKOUT);
+  });
+
+  it(`doesn't book offer in the past`, async () => {
+    const response = await postBooking({checkin: getBookingDate(-3), checkout: getBookingDate(1), guests: 1})
+      .expect(StatusCodes.BAD_REQUEST)
+      .expect(`Content-Type`, /json/);
+
+    assert.strictEqual(response.body[0].errorMessage, ValidateErrorMessage.BOOKING_PAST_DATE);
+  });
+
+  it(`doesn't book offer with wrong dates`, async () => {
+    const response = await postBooking({checkin: `2030-02-30`, checkout: `tomorrow`, guests: 1})
+      .expect(StatusCodes.BAD_REQUEST)
+      .expect(`Content-Type`, /json/);
+
+    assert.deepStrictEqual(response.body.map((it) => it.errorMessage), [ValidateErrorMessage.BOOKING_DATE, ValidateErrorMessage.BOOKING_DATE]);
+  });
+
+  it(`lists booking ids only to the users who can cancel the bookings`, async () => {
+    await postBooking({checkin: getBookingDate(1), checkout: getBookingDate(3), guests: 1}).expect(StatusCodes.OK);
+    await postBooking({checkin: getBookingDate(5), checkout: getBookingDate(6), guests: 1}, getAuthorization(`other-id`))
+      .expect(StatusCodes.OK);
+
+    const getBookingIds = async (authorization) => {
+      const listRequest = request(app).get(BOOKINGS_PATH).set(`Accept`, `application/json`);
+      const response = await (authorization ? listRequest.set(`Authorization`, authorization) : listRequest)
+        .expect(StatusCodes.OK);
+      return response.body.map((it) => it.id);
+    };
+
+    assert.deepStrictEqual(await getBookingIds(), [void 0, void 0]);
+    assert.strictEqual((await getBookingIds(GUEST_AUTHORIZATION)).filter((it) => it).length, 1);
+    assert.strictEqual((await getBookingIds(getAuthorization(OWNER_ID))).filter((it) => it).length, 2);
+  });
+
+  it(`cancels booking by the user who booked it`, async () => {
+    const response = await postBooking({checkin: getBookingDate(1), checkout: getBookingDate(3), guests: 1});
+
+    await cancelBooking(response.body.id, GUEST_AUTHORIZATION).expect(StatusCodes.NO_CONTENT);
+
+    assert.deepStrictEqual(await bookingsStore.getBookings(TEST_ID), []);
+  });
+
+  it(`cancels booking by the offer owner or an admin`, async () => {
+    const {body: first} = await postBooking({checkin: getBookingDate(1), checkout: getBookingDate(3), guests: 1});
+    const {body: second} = await postBooking({checkin: getBookingDate(3), checkout: getBookingDate(5), guests: 1});
+
+    await cancelBooking(first.id, getAuthorization(OWNER_ID)).expect(StatusCodes.NO_CONTENT);
+    await cancelBooking(second.id, getAuthorization(`admin-id`, UserRoles.ADMIN)).expect(StatusCodes.NO_CONTENT);
+
+    assert.deepStrictEqual(await bookingsStore.getBookings(TEST_ID), []);
+  });
+
+  it(`doesn't let anonymous or other user cancel booking`, async () => {
+    const response = await postBooking({checkin: getBookingDate(1), checkout: getBookingDate(3), guests: 1});
+
+    await cancelBooking(response.body.id).expect(StatusCodes.UNAUTHORIZED);
+    await cancelBooking(response.body.id, getAuthorization(`other-id`)).expect(StatusCodes.FORBIDDEN);
+
+    assert.strictEqual((await bookingsStore.getBookings(TEST_ID)).length, 1);
+  });
+
+  it(`doesn't cancel unknown booking`, async () => {
+    return await cancelBooking(`unknown`, GUEST_AUTHORIZATION)
+      .expect(StatusCodes.NOT_FOUND)
+      .expect(`Content-Type`, /json/);
+  });
+});
+
+describe(`GET ${DEFAULT_PATH} available for dates`, () => {
+  const SMALL_OFFER_ID = `small-offer-id`;
+  const BIG_OFFER_ID = `big-offer-id`;
+  const BOOKED_OFFER_ID = `booked-offer-id`;
+
+  const createOffer = (id, guests) => Object.assign({}, TEST_OFFER, {
+    _id: id,
+    id,
+    offer: Object.assign({}, TEST_OFFER.offer, {guests})
+  });
+
+  let app;
+
+  const getOffers = (query) => request(app)
+    .get(DEFAULT_PATH)
+    .query(query)
+    .set(`Accept`, `application/json`);
+
+  beforeEach(() => {
+    const bookingsStore = new MemoryBookingsStore([
+      {id: `booking`, offerId: BOOKED_OFFER_ID, checkin: getBookingDate(2), checkout: getBookingDate(4), start: 0, end: 0}
+    ]);
+    const offersRoute = require(`../src/server/routes/router`)(
+        new MemoryOffersStore([createOffer(SMALL_OFFER_ID, 1), createOffer(BIG_OFFER_ID, 4), createOffer(BOOKED_OFFER_ID, 4)]),
+        new MemoryImagesStore(ImagesStoreNames.AVATARS),
+        new MemoryImagesStore(ImagesStoreNames.PREVIEWS),
+        bookingsStore
+    );
+    app = express();
+    app.use(DEFAULT_PATH, offersRoute);
+  });
+
+  it(`get offers without bookings for the dates`, async () => {
+    const response = await getOffers({from: getBookingDate(3), to: getBookingDate(5)})
+      .expect(StatusCodes.OK)
+      .expect(`Content-Type`, /json/);
+
+    assert.strictEqual(response.body.total, 2);
+    assert.deepStrictEqual(response.body.data.map((it) => it.id), [SMALL_OFFER_ID, BIG_OFFER_ID]);
+  });
+
+  it(`get offer booked till the "from" date`, async () => {
+    const response = await getOffers({from: getBookingDate(4), to: getBookingDate(5)})
+      .expect(StatusCodes.OK);
+
+    assert.strictEqual(response.body.total, 3);
+  });
+
+  it(`get offers having enough capacity for the guests`, async () => {
+    const response = await getOffers({from: getBookingDate(1), to: getBookingDate(3), guests: 2})
+      .expect(StatusCodes.OK);
+
+    assert.strictEqual(response.body.total, 1);
+    assert.deepStrictEqual(response.body.data.map((it) => it.id), [BIG_OFFER_ID]);
+  });
+
+  it(`doesn't get offers for the wrong dates`, async () => {
+    await getOffers({from: getBookingDate(1)})
+      .expect(StatusCodes.BAD_REQUEST);
+
+    return await getOffers({from: getBookingDate(3), to: getBookingDate(1)})
+      .expect(StatusCodes.BAD_REQUEST)
+      .expect(`Content-Type`, /json/);
+  });
+});
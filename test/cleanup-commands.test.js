@@ -0,0 +1,161 @@
+const assert = require(`assert`);
+const {PassThrough} = require(`stream`);
+const toStream = require(`buffer-to-stream`);
+
+const {askConfirmation} = require(`../src/utils/ask-confirmation`);
+const help = require(`../src/commands/help`);
+const {parseDuration,
+  pruneOffers} = require(`../src/commands/prune`);
+const {isPurgeConfirmed,
+  purgeStores} = require(`../src/commands/purge`);
+const MemoryBookingsStore = require(`../src/server/store/memory-bookings-store`);
+const MemoryImagesStore = require(`../src/server/store/memory-images-store`);
+const MemoryOffersStore = require(`../src/server/store/memory-offers-store`);
+const {ImagesStoreNames} = require(`../src/server/server-settings`);
+const {CommandFlags} = require(`../src/utils/util-constants`);
+
+const MS_IN_HOUR = 60 * 60 * 1000;
+const MS_IN_DAY = 24 * MS_IN_HOUR;
+const NOW = 1540000000000;
+const IMAGE = Buffer.from(`image content`);
+
+const createOffer = (number, daysAgo) => ({
+  _id: `stored-id-${number}`,
+  id: `offer-id-${number}`,
+  date: NOW - daysAgo * MS_IN_DAY
+});
+
+const OLD_OFFER = createOffer(1, 31);
+const BOUNDARY_OFFER = createOffer(2, 30);
+const NEW_OFFER = createOffer(3, 1);
+
+const createStores = async () => {
+  const stores = {
+    offersStore: new MemoryOffersStore(),
+    avatarStore: new MemoryImagesStore(ImagesStoreNames.AVATARS),
+    previewStore: new MemoryImagesStore(ImagesStoreNames.PREVIEWS),
+    bookingsStore: new MemoryBookingsStore()
+  };
+
+  await stores.offersStore.restoreOffers([OLD_OFFER, BOUNDARY_OFFER, NEW_OFFER]);
+
+  for (const offer of [OLD_OFFER, NEW_OFFER]) {
+    await stores.avatarStore.save(offer._id, toStream(IMAGE));
+    await stores.previewStore.save(`${offer._id}-0`, toStream(IMAGE));
+    await stores.bookingsStore.save({id: `booking-${offer.id}`, offerId: offer.id});
+  }
+
+  return stores;
+};
+
+const getOfferIds = async (offersStore) => (await (await offersStore.getStoredOffers()).toArray()).map((it) => it.id);
+
+// Answers the questions with the lines one by one and closes the input after them,
+// resolves with the confirmation and the number of questions
+const answerConfirmation = async (...lines) => {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let questionsCount = 0;
+
+  output.on(`data`, () => {
+    questionsCount++;
+
+    if (lines.length) {
+      input.write(`${lines.shift()}\n`);
+    } else {
+      input.end();
+    }
+  });
+
+  const isConfirmed = await askConfirmation(`Continue?`, input, output);
+  return {isConfirmed, questionsCount};
+};
+
+describe(`Prune command`, () => {
+  it(`parses durations`, () => {
+    assert.strictEqual(parseDuration(`30d`), 30 * MS_IN_DAY);
+    assert.strictEqual(parseDuration(`12h`), 12 * MS_IN_HOUR);
+  });
+
+  it(`doesn't parse wrong durations`, () => {
+    [`30`, `d`, `-1d`, `1.5d`, `30 d`, `30y`, ``, void 0].forEach((duration) =>
+      assert.strictEqual(parseDuration(duration), void 0, `Duration "${duration}" is parsed`));
+  });
+
+  it(`removes offers older than the duration with their images and bookings`, async () => {
+    const stores = await createStores();
+
+    const removedCount = await pruneOffers(stores, NOW - parseDuration(`30d`));
+
+    assert.strictEqual(removedCount, 1);
+    assert.deepStrictEqual(await getOfferIds(stores.offersStore), [BOUNDARY_OFFER.id, NEW_OFFER.id]);
+    assert.strictEqual(await stores.avatarStore.get(OLD_OFFER._id), void 0);
+    assert.strictEqual(await stores.previewStore.get(`${OLD_OFFER._id}-0`), void 0);
+    assert.ok(await stores.avatarStore.get(NEW_OFFER._id));
+    assert.deepStrictEqual(await stores.bookingsStore.getBookings(OLD_OFFER.id), []);
+    assert.strictEqual((await stores.bookingsStore.getBookings(NEW_OFFER.id)).length, 1);
+  });
+});
+
+describe(`Purge command`, () => {
+  const failIfAsked = async () => assert.fail(`Confirmation shouldn't be asked`);
+
+  it(`doesn't ask confirmation with ${CommandFlags.YES} flag`, async () => {
+    assert.strictEqual(await isPurgeConfirmed([CommandFlags.YES], failIfAsked), true);
+  });
+
+  it(`asks confirmation without ${CommandFlags.YES} flag`, async () => {
+    const questions = [];
+    const confirm = async (question) => {
+      questions.push(question);
+      return false;
+    };
+
+    assert.strictEqual(await isPurgeConfirmed([], confirm), false);
+    assert.strictEqual(await isPurgeConfirmed([CommandFlags.WITH_BOOKINGS], confirm), false);
+    assert.ok(!/bookings/.test(questions[0]));
+    assert.ok(/bookings/.test(questions[1]));
+  });
+
+  it(`removes offers and images keeping bookings`, async () => {
+    const stores = await createStores();
+
+    assert.strictEqual(await purgeStores(stores, false), 3);
+    assert.deepStrictEqual(await getOfferIds(stores.offersStore), []);
+    assert.deepStrictEqual(await stores.avatarStore.getAll(), []);
+    assert.deepStrictEqual(await stores.previewStore.getAll(), []);
+    assert.strictEqual((await stores.bookingsStore.getBookings(OLD_OFFER.id)).length, 1);
+  });
+
+  it(`removes bookings with ${CommandFlags.WITH_BOOKINGS} flag`, async () => {
+    const stores = await createStores();
+    await purgeStores(stores, true);
+
+    assert.deepStrictEqual(await stores.bookingsStore.getBookings(OLD_OFFER.id), []);
+  });
+});
+
+describe(`Confirmation`, () => {
+  it(`is confirmed by "y"`, async () => {
+    assert.deepStrictEqual(await answerConfirmation(`y`), {isConfirmed: true, questionsCount: 1});
+  });
+
+  it(`is declined by "n"`, async () => {
+    assert.deepStrictEqual(await answerConfirmation(`n`), {isConfirmed: false, questionsCount: 1});
+  });
+
+  it(`repeats the question until the answer is "y" or "n"`, async () => {
+    assert.deepStrictEqual(await answerConfirmation(`maybe`, ``, `y`), {isConfirmed: true, questionsCount: 3});
+  });
+
+  it(`is declined when the input is closed without the answer`, async () => {
+    assert.deepStrictEqual(await answerConfirmation(), {isConfirmed: false, questionsCount: 1});
+  });
+});
+
+describe(`Help command`, () => {
+  it(`lists the commands without requiring the storage`, () => {
+    assert.ok(help.execute().includes(`--purge`));
+    assert.strictEqual(require.cache[require.resolve(`../src/server/store/storage`)], void 0);
+  });
+});
@@ -0,0 +1,152 @@
+const assert = require(`assert`);
+const fs = require(`fs`);
+const path = require(`path`);
+const toStream = require(`buffer-to-stream`);
+
+const FileImagesStore = require(`../src/server/store/file-images-store`);
+const FileOffersStore = require(`../src/server/store/file-offers-store`);
+const {ImagesStoreNames,
+  OFFERS_FILE_NAME} = require(`../src/server/server-settings`);
+const {JsonFile} = require(`../src/server/store/file-system`);
+const {readStream} = require(`../src/server/store/image-utils`);
+const {createTempDir,
+  removeDir} = require(`./mock/temp-dir`);
+const {createTestOffer} = require(`./mock/test-offer`);
+
+const TEST_OFFER = createTestOffer();
+
+// Resolves with the error the promise is rejected with
+const getError = (promise) => promise.catch((err) => err);
+
+const getIds = (offers) => offers.map((it) => it.id);
+
+describe(`File storage`, () => {
+  const storagePath = createTempDir();
+  const offersFilePath = path.join(storagePath, OFFERS_FILE_NAME);
+
+  after(() => removeDir(storagePath));
+
+  describe(`JsonFile`, () => {
+    const filePath = path.join(storagePath, `data.json`);
+    const tempPath = `${filePath}.tmp`;
+
+    it(`keeps writing after a failed write`, async () => {
+      const file = new JsonFile(filePath);
+      // Temp file can't be written over a directory
+      fs.mkdirSync(tempPath);
+
+      const err = await getError(file.write([1]));
+      assert.ok(err instanceof Error);
+
+      fs.rmdirSync(tempPath);
+      await file.write([2]);
+
+      assert.deepStrictEqual(await file.read(), [2]);
+    });
+  });
+
+  describe(`FileOffersStore`, () => {
+    it(`keeps saved offers in the file`, async () => {
+      const {insertedId} = await new FileOffersStore(offersFilePath).save(TEST_OFFER);
+
+      const reopenedStore = new FileOffersStore(offersFilePath);
+      const savedOffer = await reopenedStore.getOfferById(TEST_OFFER.id);
+
+      assert.strictEqual(savedOffer._id, insertedId);
+      assert.deepStrictEqual(savedOffer.offer, TEST_OFFER.offer);
+    });
+
+    it(`lists offers without stored id`, async () => {
+      const cursor = await new FileOffersStore(offersFilePath).getAllOffers({date: TEST_OFFER.date});
+      const offers = await cursor.toArray();
+
+      assert.strictEqual(await cursor.count(), 1);
+      assert.strictEqual(offers[0]._id, void 0);
+    });
+
+    it(`reads the file again after a failed load`, async () => {
+      const brokenFilePath = path.join(storagePath, `broken-${OFFERS_FILE_NAME}`);
+      fs.writeFileSync(brokenFilePath, `not a json`);
+      const store = new FileOffersStore(brokenFilePath);
+
+      const err = await getError(store.getOfferById(TEST_OFFER.id));
+      assert.ok(err instanceof SyntaxError);
+
+      fs.writeFileSync(brokenFilePath, JSON.stringify([TEST_OFFER]));
+
+      assert.strictEqual((await store.getOfferById(TEST_OFFER.id)).id, TEST_OFFER.id);
+    });
+
+    it(`restores the offers when the change can't be written`, async () => {
+      const failingFilePath = path.join(storagePath, `failing-${OFFERS_FILE_NAME}`);
+      const store = new FileOffersStore(failingFilePath);
+      await store.save(TEST_OFFER);
+      // Temp file can't be written over a directory
+      fs.mkdirSync(`${failingFilePath}.tmp`);
+
+      const err = await getError(store.save(Object.assign({}, TEST_OFFER, {id: `other-id`})));
+      assert.ok(err instanceof Error);
+      assert.strictEqual(await store.getOfferById(`other-id`), void 0);
+
+      fs.rmdirSync(`${failingFilePath}.tmp`);
+      await store.removeAll();
+      assert.strictEqual(await (await store.getAllOffers()).count(), 0);
+    });
+
+    it(`reads the offers changed by the other process`, async () => {
+      const sharedFilePath = path.join(storagePath, `shared-${OFFERS_FILE_NAME}`);
+      const serverStore = new FileOffersStore(sharedFilePath);
+      await serverStore.save(TEST_OFFER);
+
+      // The command run on the same storage removes the offers
+      await new FileOffersStore(sharedFilePath).removeAll();
+      assert.strictEqual(await serverStore.getOfferById(TEST_OFFER.id), void 0);
+
+      await new FileOffersStore(sharedFilePath).save(TEST_OFFER);
+      await serverStore.save(Object.assign({}, TEST_OFFER, {id: `other-id`}));
+
+      const offers = await (await new FileOffersStore(sharedFilePath).getAllOffers()).toArray();
+      assert.deepStrictEqual(getIds(offers), [TEST_OFFER.id, `other-id`]);
+    });
+
+    it(`removes offers from the file`, async () => {
+      const store = new FileOffersStore(offersFilePath);
+      const {_id} = await store.getOfferById(TEST_OFFER.id);
+      await store.removeOffer(_id);
+
+      assert.strictEqual(await new FileOffersStore(offersFilePath).getOfferById(TEST_OFFER.id), void 0);
+    });
+  });
+
+  describe(`FileImagesStore`, () => {
+    const store = new FileImagesStore(ImagesStoreNames.AVATARS, storagePath);
+    const image = Buffer.from(`image content`);
+
+    it(`returns saved image with its info`, async () => {
+      await store.save(`offer-1`, toStream(image), {contentType: `image/png`, originalName: `user01.png`});
+
+      const result = await store.get(`offer-1`);
+
+      assert.ok(image.equals(await readStream(result.stream)));
+      assert.strictEqual(result.info.length, image.length);
+      assert.strictEqual(result.info.metadata.contentType, `image/png`);
+      assert.ok(result.info.uploadDate instanceof Date);
+    });
+
+    it(`returns nothing for unknown image`, async () => {
+      assert.strictEqual(await store.get(`unknown`), void 0);
+    });
+
+    it(`removes images matching the pattern`, async () => {
+      await store.save(`offer-1-thumb`, toStream(image));
+      await store.save(`offer-2`, toStream(image));
+
+      const removed = await store.remove(/^offer-1(-thumb)?$/);
+
+      assert.deepStrictEqual(removed.sort(), [`offer-1`, `offer-1-thumb`]);
+      // The stream is read, otherwise it could open the file after the temp dir is removed
+      const kept = await store.get(`offer-2`);
+      assert.ok(image.equals(await readStream(kept.stream)));
+    });
+  });
+});
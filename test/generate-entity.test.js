@@ -1,5 +1,13 @@
 const assert = require(`assert`);
 const generateEntity = require(`../src/generate/generate-entity`);
+const generateProfileEntity = require(`../src/generate/generate-profile-entity`);
+const {getOfferFormData} = require(`../src/server/routes/prepare-offer`);
+const {Profiles,
+  TypePrices,
+  TypeTitles} = require(`../src/generate/profiles`);
+const validate = require(`../src/server/routes/validate`);
+const {NOT_FOR_GUESTS_ROOMS} = require(`../src/server/server-settings`);
+const {withRandomSeed} = require(`../src/utils/util-functions`);
 const {EXPECTED_OFFER_PROPERTIES,
   OFFER_TITLES,
   BUNGALO_TYPES,
@@ -10,7 +18,9 @@ const {EXPECTED_OFFER_PROPERTIES,
   CoordinateY,
   GuestsNumber,
   PriceInterval,
+  LocalAvatars,
   RoomsNumber,
+  SEEDED_DATE_NOW,
   TIME_INTERVAL} = require(`../src/utils/util-constants`);
 
 const entity = generateEntity();
@@ -19,6 +29,38 @@ const hasNoRepeatedValues = (array) => {
   return (new Set(array).size === array.length);
 };
 
+const PROFILE_OFFERS_NUMBER = 200;
+const LOCAL_IMAGE_REGEXP = new RegExp(`^${LocalAvatars.URL_PREFIX}0[1-${LocalAvatars.COUNT}]\\${LocalAvatars.EXTENSION}$`);
+
+const profileEntities = Object.keys(Profiles).reduce((accumulator, profileName) => {
+  const profile = Profiles[profileName];
+  const entities = withRandomSeed(profileName, () =>
+    Array(PROFILE_OFFERS_NUMBER).fill(null).map(() => generateProfileEntity(profile)));
+
+  return accumulator.concat(entities.map((offerEntity) => ({profile, offerEntity})));
+}, []);
+
+const checkProfileValidity = ({offerEntity}) => {
+  assert.doesNotThrow(() => validate(getOfferFormData(offerEntity)));
+};
+
+const checkProfileTitle = ({offerEntity: {offer}}) => {
+  const {adjectives, nouns} = TypeTitles[offer.type];
+  assert.ok(adjectives.some((it) => offer.title.startsWith(`${it} `)));
+  assert.ok(nouns.some((it) => offer.title.includes(` ${it} `)));
+};
+
+const checkProfileImages = ({profile, offerEntity: {author, offer}}) => {
+  assert.ok(LOCAL_IMAGE_REGEXP.test(author.avatar));
+  assert.ok(offer.photos.length <= profile.maxPhotos && hasNoRepeatedValues(offer.photos));
+  assert.ok(offer.photos.every((it) => LOCAL_IMAGE_REGEXP.test(it)));
+};
+
+const checkProfileLocation = ({profile, offerEntity: {location}}) => {
+  assert.ok(profile.clusters.some((it) =>
+    Math.abs(location.x - it.x) <= it.spread * 5 && Math.abs(location.y - it.y) <= it.spread * 5));
+};
+
 describe(`Function generatyEntity`, () => {
 
   describe(`Function generateEntity and its output types`, () => {
@@ -288,4 +330,66 @@ describe(`Function generatyEntity`, () => {
       assert.ok(date > Date.now() - TIME_INTERVAL);
     });
   });
+
+  describe(`Seeded generation`, () => {
+    const generateSeeded = (seed) => withRandomSeed(seed, () => [generateEntity(), generateEntity()]);
+
+    it(`should give the same offers for the same seed`, () => {
+      assert.strictEqual(JSON.stringify(generateSeeded(42)), JSON.stringify(generateSeeded(42)));
+      assert.strictEqual(JSON.stringify(generateSeeded(`bug-123`)), JSON.stringify(generateSeeded(`bug-123`)));
+    });
+
+    it(`should give different offers for different seeds`, () => {
+      assert.notStrictEqual(JSON.stringify(generateSeeded(42)), JSON.stringify(generateSeeded(43)));
+    });
+
+    it(`should date offers back from the fixed moment`, () => {
+      const [seededEntity] = generateSeeded(42);
+      assert.ok(seededEntity.date <= SEEDED_DATE_NOW && seededEntity.date >= SEEDED_DATE_NOW - TIME_INTERVAL);
+    });
+
+    it(`should restore not seeded random after the generation`, () => {
+      generateSeeded(42);
+      assert.notStrictEqual(JSON.stringify(generateEntity()), JSON.stringify(generateEntity()));
+    });
+  });
+
+  describe(`Generation with profiles`, () => {
+    it(`should generate offers which pass validation`, () => {
+      profileEntities.forEach(checkProfileValidity);
+    });
+
+    it(`should title offers with the words of their type`, () => {
+      profileEntities.forEach(checkProfileTitle);
+    });
+
+    it(`should price offers within their type range`, () => {
+      profileEntities.forEach(({offerEntity: {offer}}) => {
+        assert.ok(offer.price >= TypePrices[offer.type].MIN && offer.price <= TypePrices[offer.type].MAX);
+      });
+    });
+
+    it(`should take no more guests than rooms and no guests with ${NOT_FOR_GUESTS_ROOMS} rooms`, () => {
+      profileEntities.forEach(({offerEntity: {offer}}) => {
+        assert.ok(offer.rooms === NOT_FOR_GUESTS_ROOMS ? offer.guests === 0 : offer.guests >= 1 && offer.guests <= offer.rooms);
+      });
+    });
+
+    it(`should set checkout the same as checkin`, () => {
+      profileEntities.forEach(({offerEntity: {offer}}) => assert.strictEqual(offer.checkout, offer.checkin));
+    });
+
+    it(`should take avatar and photos from the local images`, () => {
+      profileEntities.forEach(checkProfileImages);
+    });
+
+    it(`should place offers near the profile clusters`, () => {
+      profileEntities.forEach(checkProfileLocation);
+    });
+
+    it(`should give the same offers for the same seed`, () => {
+      const generateSeeded = () => withRandomSeed(42, () => generateProfileEntity(Profiles.tokyo));
+      assert.strictEqual(JSON.stringify(generateSeeded()), JSON.stringify(generateSeeded()));
+    });
+  });
 });
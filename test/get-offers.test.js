@@ -4,16 +4,17 @@ const express = require(`express`);
 
 const offers = require(`../src/generate/offers`);
 const offersStoreMock = require(`./mock/offers-store-mock`);
-const MockImageStore = require(`./mock/images-store-mock`);
+const MemoryImagesStore = require(`../src/server/store/memory-images-store`);
 const {DEFAULT_PATH,
   ImagesStoreNames,
   OFFERS_LIMIT,
+  PriceBandLimit,
   StatusCodes} = require(`./../src/server/server-settings`);
 
 const offersRoute = require(`../src/server/routes/router`)(
     offersStoreMock,
-    new MockImageStore(ImagesStoreNames.AVATARS),
-    new MockImageStore(ImagesStoreNames.PREVIEWS)
+    new MemoryImagesStore(ImagesStoreNames.AVATARS),
+    new MemoryImagesStore(ImagesStoreNames.PREVIEWS)
 );
 
 const app = express();
@@ -97,6 +98,17 @@ describe(`GET ${DEFAULT_PATH}`, () => {
     assert.strictEqual(offersNumber, LIMIT_PARAM);
   });
 
+  it(`get all offers with zero limit param as json`, async () => {
+    const response = await request(app)
+    .get(`${DEFAULT_PATH}?limit=0`)
+    .set(`Accept`, `application/json`)
+    .expect(StatusCodes.OK)
+    .expect(`Content-Type`, /json/);
+
+    assert.strictEqual(response.body.data.length, offers.length);
+    assert.strictEqual(response.body.limit, 0);
+  });
+
   it(`get offers with skip param as json`, async () => {
     const SKIP_PARAM = 7;
     const response = await request(app)
@@ -127,6 +139,217 @@ describe(`GET ${DEFAULT_PATH}`, () => {
   });
 });
 
+describe(`GET ${DEFAULT_PATH} with filters`, () => {
+  it(`get offers filtered by type`, async () => {
+    const TYPE = `flat`;
+    const response = await request(app)
+    .get(`${DEFAULT_PATH}?type=${TYPE}&limit=${offers.length}`)
+    .set(`Accept`, `application/json`)
+    .expect(StatusCodes.OK)
+    .expect(`Content-Type`, /json/);
+
+    const expectedOffers = offers.filter((it) => it.offer.type === TYPE);
+
+    assert.strictEqual(response.body.total, expectedOffers.length);
+    assert.ok(response.body.data.every((it) => it.offer.type === TYPE));
+  });
+
+  it(`get offers filtered by price band`, async () => {
+    const response = await request(app)
+    .get(`${DEFAULT_PATH}?price=middle&limit=${offers.length}`)
+    .set(`Accept`, `application/json`)
+    .expect(StatusCodes.OK)
+    .expect(`Content-Type`, /json/);
+
+    const isMiddlePrice = (price) => price >= PriceBandLimit.LOW && price < PriceBandLimit.HIGH;
+    const expectedOffers = offers.filter((it) => isMiddlePrice(it.offer.price));
+
+    assert.strictEqual(response.body.total, expectedOffers.length);
+    assert.ok(response.body.data.every((it) => isMiddlePrice(it.offer.price)));
+  });
+
+  it(`get offers filtered by rooms and guests`, async () => {
+    const {rooms, guests} = offers[0].offer;
+    const response = await request(app)
+    .get(`${DEFAULT_PATH}?rooms=${rooms}&guests=${guests}`)
+    .set(`Accept`, `application/json`)
+    .expect(StatusCodes.OK)
+    .expect(`Content-Type`, /json/);
+
+    const expectedOffers = offers.filter((it) => it.offer.rooms === rooms && it.offer.guests === guests);
+
+    assert.strictEqual(response.body.total, expectedOffers.length);
+  });
+
+  it(`get offers having all the requested features`, async () => {
+    const FEATURES = [`wifi`, `parking`];
+    const response = await request(app)
+    .get(`${DEFAULT_PATH}?features=${FEATURES[0]}&features=${FEATURES[1]}&limit=${offers.length}`)
+    .set(`Accept`, `application/json`)
+    .expect(StatusCodes.OK)
+    .expect(`Content-Type`, /json/);
+
+    const hasFeatures = (it) => FEATURES.every((feature) => it.offer.features.includes(feature));
+
+    assert.strictEqual(response.body.total, offers.filter(hasFeatures).length);
+    assert.ok(response.body.data.every(hasFeatures));
+  });
+
+  it(`ignores "any" filter values`, async () => {
+    const response = await request(app)
+    .get(`${DEFAULT_PATH}?type=any&price=any&rooms=any&guests=any`)
+    .set(`Accept`, `application/json`)
+    .expect(StatusCodes.OK)
+    .expect(`Content-Type`, /json/);
+
+    assert.strictEqual(response.body.total, offers.length);
+  });
+
+  it(`doesn't get offers with unknown price band`, async () => {
+    return await request(app)
+    .get(`${DEFAULT_PATH}?price=cheap`)
+    .set(`Accept`, `application/json`)
+    .expect(StatusCodes.BAD_REQUEST)
+    .expect(`Content-Type`, /json/);
+  });
+
+  it(`doesn't get offers with unknown feature`, async () => {
+    return await request(app)
+    .get(`${DEFAULT_PATH}?features=coffee`)
+    .set(`Accept`, `application/json`)
+    .expect(StatusCodes.BAD_REQUEST)
+    .expect(`Content-Type`, /json/);
+  });
+});
+
+describe(`GET ${DEFAULT_PATH} by location`, () => {
+  const getDistance = (it, x, y) => Math.hypot(it.location.x - x, it.location.y - y);
+
+  it(`get offers within the radius sorted by distance`, async () => {
+    const [X, Y, RADIUS] = [600, 300, 150];
+    const response = await request(app)
+    .get(`${DEFAULT_PATH}?near=${X},${Y}&radius=${RADIUS}&limit=${offers.length}`)
+    .set(`Accept`, `application/json`)
+    .expect(StatusCodes.OK)
+    .expect(`Content-Type`, /json/);
+
+    const distances = response.body.data.map((it) => getDistance(it, X, Y));
+    const expectedDistances = offers.map((it) => getDistance(it, X, Y)).filter((it) => it <= RADIUS).sort((a, b) => a - b);
+
+    assert.strictEqual(response.body.total, expectedDistances.length);
+    assert.deepStrictEqual(distances, expectedDistances);
+  });
+
+  it(`get offers within the bounding box`, async () => {
+    const [X1, Y1, X2, Y2] = [700, 400, 400, 200];
+    const response = await request(app)
+    .get(`${DEFAULT_PATH}?bbox=${X1},${Y1},${X2},${Y2}&limit=${offers.length}`)
+    .set(`Accept`, `application/json`)
+    .expect(StatusCodes.OK)
+    .expect(`Content-Type`, /json/);
+
+    const isInBox = (it) => it.location.x >= X2 && it.location.x <= X1 && it.location.y >= Y2 && it.location.y <= Y1;
+
+    assert.strictEqual(response.body.total, offers.filter(isInBox).length);
+    assert.ok(response.body.data.every(isInBox));
+  });
+
+  it(`doesn't get offers with wrong coordinates`, async () => {
+    await request(app)
+    .get(`${DEFAULT_PATH}?near=600`)
+    .set(`Accept`, `application/json`)
+    .expect(StatusCodes.BAD_REQUEST);
+
+    await request(app)
+    .get(`${DEFAULT_PATH}?radius=100`)
+    .set(`Accept`, `application/json`)
+    .expect(StatusCodes.BAD_REQUEST);
+
+    return await request(app)
+    .get(`${DEFAULT_PATH}?bbox=1,2,,4`)
+    .set(`Accept`, `application/json`)
+    .expect(StatusCodes.BAD_REQUEST)
+    .expect(`Content-Type`, /json/);
+  });
+});
+
+describe(`GET ${DEFAULT_PATH} as GeoJSON`, () => {
+  it(`get offers as FeatureCollection accepting "application/geo+json"`, async () => {
+    const response = await request(app)
+    .get(DEFAULT_PATH)
+    .set(`Accept`, `application/geo+json`)
+    .expect(StatusCodes.OK)
+    .expect(`Content-Type`, /application\/geo\+json/);
+
+    const collection = response.body;
+
+    assert.strictEqual(collection.type, `FeatureCollection`);
+    assert.strictEqual(collection.total, offers.length);
+    assert.strictEqual(collection.features.length, OFFERS_LIMIT);
+    assert.deepStrictEqual(collection.features[0], {
+      type: `Feature`,
+      id: offers[0].id,
+      geometry: {
+        type: `Point`,
+        coordinates: [offers[0].location.x, offers[0].location.y]
+      },
+      properties: {
+        author: offers[0].author,
+        offer: offers[0].offer,
+        date: offers[0].date
+      }
+    });
+  });
+
+  it(`get offer as Feature with "format" parameter`, async () => {
+    const offer = offers[0];
+    const response = await request(app)
+    .get(`${DEFAULT_PATH}/${offer.date}?format=geojson`)
+    .set(`Accept`, `text/html`)
+    .expect(StatusCodes.OK)
+    .expect(`Content-Type`, /application\/geo\+json/);
+
+    assert.strictEqual(response.body.type, `Feature`);
+    assert.deepStrictEqual(response.body.geometry.coordinates, [offer.location.x, offer.location.y]);
+  });
+});
+
+describe(`GET ${DEFAULT_PATH} with sort`, () => {
+  it(`get cheapest offers first`, async () => {
+    const response = await request(app)
+    .get(`${DEFAULT_PATH}?sort=price&limit=${offers.length}`)
+    .set(`Accept`, `application/json`)
+    .expect(StatusCodes.OK)
+    .expect(`Content-Type`, /json/);
+
+    const prices = response.body.data.map((it) => it.offer.price);
+    const expectedPrices = offers.map((it) => it.offer.price).sort((a, b) => a - b);
+
+    assert.deepStrictEqual(prices, expectedPrices);
+  });
+
+  it(`get newest offers first`, async () => {
+    const response = await request(app)
+    .get(`${DEFAULT_PATH}?sort=-date`)
+    .set(`Accept`, `application/json`)
+    .expect(StatusCodes.OK)
+    .expect(`Content-Type`, /json/);
+
+    const dates = response.body.data.map((it) => it.date);
+    const expectedDates = offers.map((it) => it.date).sort((a, b) => b - a).slice(0, OFFERS_LIMIT);
+
+    assert.deepStrictEqual(dates, expectedDates);
+  });
+
+  it(`doesn't get offers sorted by unknown field`, async () => {
+    return await request(app)
+    .get(`${DEFAULT_PATH}?sort=-title`)
+    .set(`Accept`, `application/json`)
+    .expect(StatusCodes.BAD_REQUEST)
+    .expect(`Content-Type`, /json/);
+  });
+});
+
 describe(`GET ${DEFAULT_PATH}/:date`, () => {
   it(`get offer with correct date as json`, async () => {
     const OFFER_INDEX = 0;
@@ -0,0 +1,24 @@
+const {ObjectID} = require(`mongodb`);
+
+const MemoryImagesStore = require(`../../src/server/store/memory-images-store`);
+
+const getKey = (filename) => (filename instanceof ObjectID ? `ObjectID(${filename})` : String(filename));
+
+// Keeps the filenames of any type as GridFS does, so an ObjectID and its hex string name different files
+class GridFsImagesStoreMock extends MemoryImagesStore {
+  async get(filename) {
+    return super.get(getKey(filename));
+  }
+
+  async save(filename, stream, metadata) {
+    const info = await super.save(getKey(filename), stream, metadata);
+    info.filename = filename;
+    return info;
+  }
+
+  async remove(filename) {
+    return super.remove(filename instanceof RegExp ? filename : getKey(filename));
+  }
+}
+
+module.exports = GridFsImagesStoreMock;
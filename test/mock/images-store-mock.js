@@ -1,15 +0,0 @@
-class MockImageStore {
-  constructor(bucketName) {
-    this._bucketName = bucketName;
-  }
-
-  async get() {
-  }
-
-  async save() {
-
-  }
-
-}
-
-module.exports = MockImageStore;
@@ -1,18 +1,10 @@
-const Cursor = require(`./cursor-mock`);
+const MemoryOffersStore = require(`../../src/server/store/memory-offers-store`);
 const offers = require(`../../src/generate/offers`);
 
 const TEST_INSERTED_ID = 42;
 
-class OffersStoreMock {
-  constructor(data) {
-    this.data = data;
-  }
-  async getOffer(date) {
-    return this.data.find((it) => it.date === date);
-  }
-  async getAllOffers() {
-    return new Cursor(this.data);
-  }
+// Posted offers aren't kept, so the listing tests always get the generated ones
+class OffersStoreMock extends MemoryOffersStore {
   async save() {
     return {
       insertedId: TEST_INSERTED_ID
@@ -20,3 +12,4 @@ class OffersStoreMock {
   }
 }
 module.exports = new OffersStoreMock(offers);
+module.exports.OffersStoreMock = OffersStoreMock;
@@ -0,0 +1,27 @@
+const fs = require(`fs`);
+const os = require(`os`);
+const path = require(`path`);
+
+const createTempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), `keksobooking-`));
+
+module.exports.createTempDir = createTempDir;
+
+// fs.rmdir can remove only empty directories in the supported Node versions
+const removeDir = (dir) => {
+  if (!fs.existsSync(dir)) {
+    return;
+  }
+
+  fs.readdirSync(dir).forEach((name) => {
+    const entryPath = path.join(dir, name);
+
+    if (fs.statSync(entryPath).isDirectory()) {
+      removeDir(entryPath);
+    } else {
+      fs.unlinkSync(entryPath);
+    }
+  });
+  fs.rmdirSync(dir);
+};
+
+module.exports.removeDir = removeDir;
@@ -0,0 +1,32 @@
+// Offer as it's prepared for saving, the stored id is added by the tests which keep it in the store
+const TEST_OFFER = {
+  author: {
+    name: `Anna`
+  },
+  offer: {
+    title: `Small flat in the city centre near the Central Park`,
+    address: `570, 472`,
+    price: 30000,
+    type: `flat`,
+    rooms: 1,
+    guests: 1,
+    checkin: `12:00`,
+    checkout: `12:00`,
+    features: [],
+    photos: []
+  },
+  location: {
+    x: 570,
+    y: 472
+  },
+  date: 1540000000000,
+  id: `3f1c7b52-8a4e-4d6b-9f0a-2c5e7d9b1a36`
+};
+
+// Valid stored offer, author and offer changes replace only the fields they have
+const createTestOffer = (changes = {}) => Object.assign({}, TEST_OFFER, changes, {
+  author: Object.assign({}, TEST_OFFER.author, changes.author),
+  offer: Object.assign({}, TEST_OFFER.offer, changes.offer)
+});
+
+module.exports.createTestOffer = createTestOffer;
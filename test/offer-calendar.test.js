@@ -0,0 +1,186 @@
+const request = require(`supertest`);
+const assert = require(`assert`);
+const express = require(`express`);
+
+const {createToken} = require(`../src/server/auth/token`);
+const {createTestOffer} = require(`./mock/test-offer`);
+const MemoryBookingsStore = require(`../src/server/store/memory-bookings-store`);
+const MemoryImagesStore = require(`../src/server/store/memory-images-store`);
+const MemoryOffersStore = require(`../src/server/store/memory-offers-store`);
+const {parseCalendar} = require(`../src/server/routes/offer-calendar`);
+
+const {CalendarSettings,
+  DEFAULT_PATH,
+  ImagesStoreNames,
+  StatusCodes,
+  ValidateErrorMessage} = require(`./../src/server/server-settings`);
+
+const MS_IN_DAY = 1000 * 60 * 60 * 24;
+const TEST_ID = `5b0f9e1a-3c2d-4e8f-a1b2-c3d4e5f6a7b8`;
+const CALENDAR_PATH = `${DEFAULT_PATH}/id/${TEST_ID}/calendar.ics`;
+
+const OWNER_ID = `owner-user-id`;
+
+const TEST_OFFER = createTestOffer({
+  _id: `test-offer-object-id`,
+  offer: {
+    title: `Small flat, in the city centre; near the Central Park`,
+    checkin: `14:00`
+  },
+  id: TEST_ID,
+  ownerId: OWNER_ID
+});
+
+const getBookingDate = (days) => new Date(Date.now() + days * MS_IN_DAY).toISOString().slice(0, 10);
+const getCalendarDate = (days) => getBookingDate(days).replace(/-/g, ``);
+
+const getEvent = (uid, checkin, checkout) => [
+  `BEGIN:VEVENT`,
+  `UID:${uid}`,
+  `DTSTART;VALUE=DATE:${checkin}`,
+  checkout ? `DTEND;VALUE=DATE:${checkout}` : ``,
+  `SUMMARY:Reserved\\, other site`,
+  `END:VEVENT`
+].filter((it) => it);
+
+const getCalendar = (events) => [
+  `BEGIN:VCALENDAR`,
+  `VERSION:2.0`,
+  `PRODID:-//Other site//EN`,
+  ...events.reduce((accumulator, it) => [...accumulator, ...it], []),
+  `END:VCALENDAR`
+].join(`\r\n`);
+
+// Gives the concurrent booking and import the time to check the overlapping bookings before any of them is saved
+class SlowBookingsStore extends MemoryBookingsStore {
+  async getBookings(offerId) {
+    const bookings = await super.getBookings(offerId);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    return bookings;
+  }
+
+  async getOverlappingBookings(offerId, start, end) {
+    const bookings = await super.getOverlappingBookings(offerId, start, end);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    return bookings;
+  }
+}
+
+describe(`${DEFAULT_PATH}/:date/calendar.ics`, () => {
+  let bookingsStore;
+  let app;
+
+  const importCalendar = (calendar) => request(app)
+    .post(CALENDAR_PATH)
+    .set(`Authorization`, `Bearer ${createToken({sub: OWNER_ID, name: `Anna`})}`)
+    .attach(CalendarSettings.FIELD_NAME, Buffer.from(calendar), `calendar.ics`)
+    .set(`Accept`, `application/json`);
+
+  beforeEach(() => {
+    bookingsStore = new MemoryBookingsStore([{
+      id: `booking-id`,
+      offerId: TEST_ID,
+      date: Date.now(),
+      checkin: getBookingDate(1),
+      checkout: getBookingDate(3),
+      guests: 2,
+      start: 0,
+      end: 0
+    }]);
+    const offersRoute = require(`../src/server/routes/router`)(
+        new MemoryOffersStore([TEST_OFFER]),
+        new MemoryImagesStore(ImagesStoreNames.AVATARS),
+        new MemoryImagesStore(ImagesStoreNames.PREVIEWS),
+        bookingsStore
+    );
+    app = express();
+    app.use(DEFAULT_PATH, offersRoute);
+  });
+
+  it(`exports offer bookings as iCalendar`, async () => {
+    const response = await request(app)
+      .get(`${DEFAULT_PATH}/${TEST_OFFER.date}/calendar.ics`)
+      .expect(StatusCodes.OK)
+      .expect(`Content-Type`, /text\/calendar/);
+
+    assert.ok(response.text.startsWith(`BEGIN:VCALENDAR\r\nVERSION:2.0\r\n`));
+    assert.ok(response.text.includes(`X-WR-CALNAME:Small flat\\, in the city centre\\; near the Central Park\r\n`));
+    assert.ok(response.text.split(`\r\n`).every((line) => line.length <= 75));
+    assert.deepStrictEqual(parseCalendar(response.text), [{
+      uid: `booking-id@${CalendarSettings.UID_DOMAIN}`,
+      summary: CalendarSettings.BOOKED_SUMMARY,
+      checkin: getBookingDate(1),
+      checkout: getBookingDate(3)
+    }]);
+  });
+
+  it(`blocks the dates of the imported calendar`, async () => {
+    const response = await importCalendar(getCalendar([
+      getEvent(`first@other`, getCalendarDate(5), getCalendarDate(7)),
+      getEvent(`second@other`, getCalendarDate(9))
+    ]))
+      .expect(StatusCodes.OK)
+      .expect(`Content-Type`, /json/);
+
+    assert.deepStrictEqual(response.body.imported.map((it) => [it.checkin, it.checkout, it.summary]), [
+      [getBookingDate(5), getBookingDate(7), `Reserved, other site`],
+      [getBookingDate(9), getBookingDate(10), `Reserved, other site`]
+    ]);
+    assert.strictEqual((await bookingsStore.getBookings(TEST_ID)).length, 3);
+  });
+
+  it(`skips imported before, overlapping and past events`, async () => {
+    const calendar = getCalendar([
+      getEvent(`first@other`, getCalendarDate(5), getCalendarDate(7)),
+      getEvent(`overlapping@other`, getCalendarDate(2), getCalendarDate(4)),
+      getEvent(`past@other`, getCalendarDate(-5), getCalendarDate(-3))
+    ]);
+
+    await importCalendar(calendar).expect(StatusCodes.OK);
+    const response = await importCalendar(calendar).expect(StatusCodes.OK);
+
+    assert.deepStrictEqual(response.body.imported, []);
+    assert.deepStrictEqual(response.body.skipped.map((it) => it.uid), [`first@other`, `overlapping@other`, `past@other`]);
+    assert.strictEqual((await bookingsStore.getBookings(TEST_ID)).length, 2);
+  });
+
+  it(`doesn't import the event overlapping the concurrent booking`, async () => {
+    bookingsStore = new SlowBookingsStore();
+    app = express();
+    app.use(DEFAULT_PATH, require(`../src/server/routes/router`)(
+        new MemoryOffersStore([TEST_OFFER]),
+        new MemoryImagesStore(ImagesStoreNames.AVATARS),
+        new MemoryImagesStore(ImagesStoreNames.PREVIEWS),
+        bookingsStore
+    ));
+
+    await Promise.all([
+      importCalendar(getCalendar([getEvent(`first@other`, getCalendarDate(5), getCalendarDate(7))])),
+      request(app)
+        .post(`${DEFAULT_PATH}/id/${TEST_ID}/bookings`)
+        .send({checkin: getBookingDate(6), checkout: getBookingDate(8), guests: 1})
+        .set(`Accept`, `application/json`)
+    ]);
+
+    assert.strictEqual((await bookingsStore.getBookings(TEST_ID)).length, 1);
+  });
+
+  it(`doesn't import the calendar of the other user's offer`, async () => {
+    await request(app)
+      .post(CALENDAR_PATH)
+      .set(`Authorization`, `Bearer ${createToken({sub: `other-user-id`, name: `Keks`})}`)
+      .attach(CalendarSettings.FIELD_NAME, Buffer.from(getCalendar([])), `calendar.ics`)
+      .set(`Accept`, `application/json`)
+      .expect(StatusCodes.FORBIDDEN);
+
+    assert.strictEqual((await bookingsStore.getBookings(TEST_ID)).length, 1);
+  });
+
+  it(`rejects the file which isn't a calendar`, async () => {
+    const response = await importCalendar(`not a calendar`)
+      .expect(StatusCodes.BAD_REQUEST)
+      .expect(`Content-Type`, /json/);
+
+    assert.strictEqual(response.body[0].errorMessage, ValidateErrorMessage.CALENDAR);
+  });
+});
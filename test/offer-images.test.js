@@ -0,0 +1,204 @@
+const request = require(`supertest`);
+const assert = require(`assert`);
+const express = require(`express`);
+const fs = require(`fs`);
+const Jimp = require(`jimp`);
+const toStream = require(`buffer-to-stream`);
+
+const {OffersStoreMock} = require(`./mock/offers-store-mock`);
+const {createTestOffer} = require(`./mock/test-offer`);
+const MemoryImagesStore = require(`../src/server/store/memory-images-store`);
+const {saveImage} = require(`../src/server/routes/offer-images`);
+const createThumbnail = require(`../src/server/store/create-thumbnail`);
+const {getImageDimensions} = require(`../src/server/store/image-utils`);
+
+const {DEFAULT_PATH,
+  ImagesStoreNames,
+  StatusCodes,
+  THUMBNAIL_MAX_PIXELS,
+  ThumbnailWidth} = require(`./../src/server/server-settings`);
+
+const TEST_ID = `test-offer-id`;
+const TEST_DATE = 1540000000000;
+const AVATAR_PATH = `${__dirname}/../static/img/avatars/user01.png`;
+const PHOTO_PATH = `${__dirname}/../static/img/logo.png`;
+const JPEG_PATH = `${__dirname}/../static/img/map.jpg`;
+
+const TEST_OFFER = createTestOffer({
+  _id: TEST_ID,
+  author: {
+    avatar: `${DEFAULT_PATH}/${TEST_DATE}/avatar`
+  },
+  offer: {
+    photos: [`${DEFAULT_PATH}/${TEST_DATE}/photos/0`]
+  },
+  date: TEST_DATE
+});
+
+describe(`GET ${DEFAULT_PATH}/:date images`, () => {
+  const avatarStore = new MemoryImagesStore(ImagesStoreNames.AVATARS);
+  const previewStore = new MemoryImagesStore(ImagesStoreNames.PREVIEWS);
+  const offersRoute = require(`../src/server/routes/router`)(
+      new OffersStoreMock([TEST_OFFER]),
+      avatarStore,
+      previewStore
+  );
+
+  const app = express();
+  app.use(DEFAULT_PATH, offersRoute);
+
+  const avatar = fs.readFileSync(AVATAR_PATH);
+  const photo = fs.readFileSync(PHOTO_PATH);
+
+  before(async () => {
+    await avatarStore.save(TEST_ID, toStream(avatar), {contentType: `image/png`, originalName: `user01.png`});
+    await saveImage(previewStore, `${TEST_ID}-0`, {
+      buffer: photo,
+      mimetype: `image/png`,
+      originalname: `logo.png`
+    }, ThumbnailWidth.PREVIEW);
+  });
+
+  it(`get avatar with its content type`, async () => {
+    const response = await request(app)
+      .get(`${DEFAULT_PATH}/${TEST_DATE}/avatar`)
+      .expect(StatusCodes.OK)
+      .expect(`Content-Type`, `image/png`);
+
+    assert.ok(avatar.equals(response.body));
+  });
+
+  it(`get offer photo by index`, async () => {
+    const response = await request(app)
+      .get(`${DEFAULT_PATH}/${TEST_DATE}/photos/0`)
+      .expect(StatusCodes.OK)
+      .expect(`Content-Type`, `image/png`);
+
+    assert.ok(photo.equals(response.body));
+  });
+
+  it(`get photo thumbnail`, async () => {
+    const response = await request(app)
+      .get(`${DEFAULT_PATH}/${TEST_DATE}/photos/0?size=thumb`)
+      .expect(StatusCodes.OK)
+      .expect(`Content-Type`, `image/png`);
+
+    const thumbnail = await Jimp.read(response.body);
+    assert.strictEqual(thumbnail.bitmap.width, ThumbnailWidth.PREVIEW);
+  });
+
+  it(`get original avatar if it has no thumbnail`, async () => {
+    const response = await request(app)
+      .get(`${DEFAULT_PATH}/${TEST_DATE}/avatar?size=thumb`)
+      .expect(StatusCodes.OK)
+      .expect(`Content-Type`, `image/png`);
+
+    assert.ok(avatar.equals(response.body));
+  });
+
+  it(`doesn't get image of unknown size`, async () => {
+    return await request(app)
+      .get(`${DEFAULT_PATH}/${TEST_DATE}/avatar?size=huge`)
+      .set(`Accept`, `application/json`)
+      .expect(StatusCodes.BAD_REQUEST)
+      .expect(`Content-Type`, /json/);
+  });
+
+  it(`sends ETag and Last-Modified headers`, async () => {
+    const response = await request(app)
+      .get(`${DEFAULT_PATH}/${TEST_DATE}/avatar`)
+      .expect(StatusCodes.OK);
+
+    assert.ok(response.headers[`etag`]);
+    assert.ok(response.headers[`last-modified`]);
+  });
+
+  it(`answers 304 if avatar ETag matches`, async () => {
+    const response = await request(app)
+      .get(`${DEFAULT_PATH}/${TEST_DATE}/avatar`)
+      .expect(StatusCodes.OK);
+
+    return await request(app)
+      .get(`${DEFAULT_PATH}/${TEST_DATE}/avatar`)
+      .set(`If-None-Match`, response.headers[`etag`])
+      .expect(StatusCodes.NOT_MODIFIED);
+  });
+
+  it(`answers 304 if photo wasn't modified since`, async () => {
+    const response = await request(app)
+      .get(`${DEFAULT_PATH}/${TEST_DATE}/photos/0`)
+      .expect(StatusCodes.OK);
+
+    return await request(app)
+      .get(`${DEFAULT_PATH}/${TEST_DATE}/photos/0`)
+      .set(`If-Modified-Since`, response.headers[`last-modified`])
+      .expect(StatusCodes.NOT_MODIFIED);
+  });
+
+  it(`doesn't get photo with unknown index`, async () => {
+    return await request(app)
+      .get(`${DEFAULT_PATH}/${TEST_DATE}/photos/1`)
+      .set(`Accept`, `application/json`)
+      .expect(StatusCodes.NOT_FOUND)
+      .expect(`Content-Type`, /json/);
+  });
+
+  it(`doesn't get photo with wrong index`, async () => {
+    return await request(app)
+      .get(`${DEFAULT_PATH}/${TEST_DATE}/photos/first`)
+      .set(`Accept`, `application/json`)
+      .expect(StatusCodes.BAD_REQUEST)
+      .expect(`Content-Type`, /json/);
+  });
+});
+
+describe(`Thumbnails`, () => {
+  const photo = fs.readFileSync(PHOTO_PATH);
+
+  // The same png with its header claiming the size over the limit
+  const createBomb = () => {
+    const bomb = Buffer.from(photo);
+    const side = Math.ceil(Math.sqrt(THUMBNAIL_MAX_PIXELS)) + 1;
+    bomb.writeUInt32BE(side, 16);
+    bomb.writeUInt32BE(side, 20);
+    return bomb;
+  };
+
+  it(`reads png and jpeg size from the header`, async () => {
+    for (const path of [PHOTO_PATH, JPEG_PATH]) {
+      const buffer = fs.readFileSync(path);
+      const image = await Jimp.read(buffer);
+
+      assert.deepStrictEqual(getImageDimensions(buffer), {width: image.bitmap.width, height: image.bitmap.height});
+    }
+  });
+
+  it(`doesn't read size of unknown format`, () => {
+    assert.strictEqual(getImageDimensions(Buffer.from(`not an image`)), void 0);
+  });
+
+  it(`doesn't decode image with more pixels than the limit`, async () => {
+    const read = Jimp.read;
+    let readCount = 0;
+    Jimp.read = (...args) => {
+      readCount++;
+      return read(...args);
+    };
+
+    try {
+      const thumbnail = await createThumbnail({buffer: createBomb(), originalname: `bomb.png`}, ThumbnailWidth.PREVIEW);
+
+      assert.strictEqual(thumbnail, void 0);
+      assert.strictEqual(readCount, 0);
+    } finally {
+      Jimp.read = read;
+    }
+  });
+
+  it(`creates thumbnail of image within the limit`, async () => {
+    const thumbnail = await createThumbnail({buffer: photo, originalname: `logo.png`}, ThumbnailWidth.PREVIEW);
+    const image = await Jimp.read(thumbnail.buffer);
+
+    assert.strictEqual(image.bitmap.width, ThumbnailWidth.PREVIEW);
+  });
+});
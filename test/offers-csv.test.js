@@ -0,0 +1,120 @@
+const request = require(`supertest`);
+const assert = require(`assert`);
+const express = require(`express`);
+const {Readable} = require(`stream`);
+
+const csv = require(`../src/utils/csv`);
+const offers = require(`../src/generate/offers`);
+const offersStoreMock = require(`./mock/offers-store-mock`);
+const MemoryBookingsStore = require(`../src/server/store/memory-bookings-store`);
+const MemoryImagesStore = require(`../src/server/store/memory-images-store`);
+const {parseOffersCsv} = require(`../src/server/routes/offers-csv`);
+const {sendFormatted} = require(`../src/utils/util-functions`);
+const {DEFAULT_PATH,
+  ImagesStoreNames,
+  StatusCodes} = require(`./../src/server/server-settings`);
+
+const offersRoute = require(`../src/server/routes/router`)(
+    offersStoreMock,
+    new MemoryImagesStore(ImagesStoreNames.AVATARS),
+    new MemoryImagesStore(ImagesStoreNames.PREVIEWS),
+    new MemoryBookingsStore()
+);
+
+const app = express();
+app.use(DEFAULT_PATH, offersRoute);
+
+// Sends the first line and fails as the broken cursor stream
+const brokenStreamApp = express();
+brokenStreamApp.get(`/`, (req, res) => sendFormatted(req, res, {
+  csv: () => {
+    const stream = new Readable({read() {}});
+    stream.push(`id,date\r\n`);
+    setImmediate(() => stream.emit(`error`, new Error(`Cursor failed`)));
+    return stream;
+  }
+}));
+
+describe(`GET ${DEFAULT_PATH} as CSV`, () => {
+  it(`get all offers accepting "text/csv"`, async () => {
+    const response = await request(app)
+    .get(DEFAULT_PATH)
+    .set(`Accept`, `text/csv`)
+    .expect(StatusCodes.OK)
+    .expect(`Content-Type`, /text\/csv/);
+
+    const [header, ...records] = csv.parse(response.text);
+
+    assert.deepStrictEqual(header.slice(0, 3), [`id`, `date`, `name`]);
+    assert.strictEqual(records.length, offers.length);
+    assert.strictEqual(records[0][header.indexOf(`features`)], offers[0].offer.features.join(`;`));
+    assert.strictEqual(records[0][header.indexOf(`photos`)], offers[0].offer.photos.join(`;`));
+  });
+
+  it(`get filtered offers page with "format" parameter`, async () => {
+    const TYPE = `flat`;
+    const response = await request(app)
+    .get(`${DEFAULT_PATH}?format=csv&type=${TYPE}&limit=2`)
+    .expect(StatusCodes.OK)
+    .expect(`Content-Type`, /text\/csv/);
+
+    const [header, ...records] = csv.parse(response.text);
+
+    assert.strictEqual(records.length, Math.min(2, offers.filter((it) => it.offer.type === TYPE).length));
+    assert.ok(records.every((record) => record[header.indexOf(`type`)] === TYPE));
+  });
+
+  it(`exported offers are parsed back into form data`, async () => {
+    const response = await request(app)
+    .get(`${DEFAULT_PATH}?limit=3`)
+    .set(`Accept`, `text/csv`)
+    .expect(StatusCodes.OK);
+
+    const rows = parseOffersCsv(response.text);
+
+    assert.deepStrictEqual(rows.map((it) => it.row), [2, 3, 4]);
+    assert.deepStrictEqual(rows[0].formData, {
+      name: offers[0].author.name,
+      title: offers[0].offer.title,
+      address: offers[0].offer.address,
+      price: String(offers[0].offer.price),
+      type: offers[0].offer.type,
+      rooms: String(offers[0].offer.rooms),
+      guests: String(offers[0].offer.guests),
+      checkin: offers[0].offer.checkin,
+      checkout: offers[0].offer.checkout,
+      features: offers[0].offer.features
+    });
+  });
+});
+
+describe(`Streamed response`, () => {
+  it(`is aborted instead of being ended on the stream error`, async () => {
+    const err = await request(brokenStreamApp).get(`/`).then(() => void 0, (error) => error);
+
+    assert.ok(err instanceof Error);
+  });
+});
+
+describe(`CSV`, () => {
+  it(`quotes fields with separators, quotes and line breaks`, () => {
+    const line = csv.formatLine([`plain`, `a, b`, `say "hi"`, `two\nlines`, void 0, 42]);
+
+    assert.strictEqual(line, `plain,"a, b","say ""hi""","two\nlines",,42\r\n`);
+    assert.deepStrictEqual(csv.parse(line), [[`plain`, `a, b`, `say "hi"`, `two\nlines`, ``, `42`]]);
+  });
+
+  it(`escapes fields which spreadsheets run as formulas`, () => {
+    const fields = [`=SUM(A1:A2)`, `+1`, `-1`, `@cmd`, `a=b`];
+    const line = csv.formatLine(fields);
+
+    assert.strictEqual(line, `'=SUM(A1:A2),'+1,'-1,'@cmd,a=b\r\n`);
+    assert.deepStrictEqual(csv.parse(line)[0].map(csv.unescapeFormula), fields);
+  });
+
+  it(`imports escaped formula fields as they were`, () => {
+    const rows = parseOffersCsv(csv.formatLine([`title`, `description`]) + csv.formatLine([`=1+1`, `-10% "sale"`]));
+
+    assert.deepStrictEqual(rows[0].formData, {title: `=1+1`, description: `-10% "sale"`});
+  });
+});
@@ -0,0 +1,84 @@
+const request = require(`supertest`);
+const assert = require(`assert`);
+const express = require(`express`);
+
+const offers = require(`../src/generate/offers`);
+const offersStoreMock = require(`./mock/offers-store-mock`);
+const MemoryBookingsStore = require(`../src/server/store/memory-bookings-store`);
+const MemoryImagesStore = require(`../src/server/store/memory-images-store`);
+const {DEFAULT_PATH,
+  ImagesStoreNames,
+  StatusCodes} = require(`./../src/server/server-settings`);
+
+const PINS_PATH = `${DEFAULT_PATH}/pins`;
+
+const offersRoute = require(`../src/server/routes/router`)(
+    offersStoreMock,
+    new MemoryImagesStore(ImagesStoreNames.AVATARS),
+    new MemoryImagesStore(ImagesStoreNames.PREVIEWS),
+    new MemoryBookingsStore()
+);
+
+const app = express();
+app.use(DEFAULT_PATH, offersRoute);
+
+describe(`GET ${PINS_PATH}`, () => {
+  it(`get pins of all the offers`, async () => {
+    const response = await request(app)
+    .get(PINS_PATH)
+    .expect(StatusCodes.OK)
+    .expect(`Content-Type`, /json/)
+    .expect(`Content-Encoding`, `gzip`)
+    .expect(`ETag`, /^".+"$/);
+
+    assert.strictEqual(response.body.length, offers.length);
+    assert.deepStrictEqual(response.body[0], {
+      id: offers[0].id,
+      location: offers[0].location,
+      type: offers[0].offer.type,
+      price: offers[0].offer.price
+    });
+  });
+
+  it(`get pins of the filtered offers`, async () => {
+    const TYPE = `house`;
+    const response = await request(app)
+    .get(`${PINS_PATH}?type=${TYPE}&sort=price`)
+    .expect(StatusCodes.OK);
+
+    const expectedPrices = offers.filter((it) => it.offer.type === TYPE).map((it) => it.offer.price).sort((a, b) => a - b);
+
+    assert.ok(response.body.every((it) => it.type === TYPE));
+    assert.deepStrictEqual(response.body.map((it) => it.price), expectedPrices);
+  });
+
+  it(`get not compressed pins`, async () => {
+    const response = await request(app)
+    .get(PINS_PATH)
+    .set(`Accept-Encoding`, `identity`)
+    .expect(StatusCodes.OK)
+    .expect(`Content-Type`, /json/);
+
+    assert.strictEqual(response.headers[`content-encoding`], void 0);
+    assert.strictEqual(response.body.length, offers.length);
+  });
+
+  it(`get 304 when pins haven't changed`, async () => {
+    const response = await request(app)
+    .get(PINS_PATH)
+    .expect(StatusCodes.OK);
+
+    return await request(app)
+    .get(PINS_PATH)
+    .set(`If-None-Match`, response.headers.etag)
+    .expect(StatusCodes.NOT_MODIFIED);
+  });
+
+  it(`doesn't get pins with unknown filter value`, async () => {
+    return await request(app)
+    .get(`${PINS_PATH}?price=cheap`)
+    .set(`Accept`, `application/json`)
+    .expect(StatusCodes.BAD_REQUEST)
+    .expect(`Content-Type`, /json/);
+  });
+});
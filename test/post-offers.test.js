@@ -1,23 +1,32 @@
 const request = require(`supertest`);
 const assert = require(`assert`);
 const express = require(`express`);
+const fs = require(`fs`);
+const multer = require(`multer`);
 
+const {createToken} = require(`../src/server/auth/token`);
 const offersStoreMock = require(`./mock/offers-store-mock`);
-const MockImageStore = require(`./mock/images-store-mock`);
+const MemoryImagesStore = require(`../src/server/store/memory-images-store`);
+const {REQUEST_SIZE_ERROR_CODE,
+  UploadStorage} = require(`../src/server/routes/upload-storage`);
 
 const {DEFAULT_PATH,
+  GuestsQuantity,
   ImagesStoreNames,
+  MapBounds,
   MAX_ADDRESS_LENGTH,
-  NAMES,
+  MAX_DESCRIPTION_LENGTH,
+  NOT_FOR_GUESTS_ROOMS,
   Price,
   RoomsQuantity,
   StatusCodes,
+  UploadLimit,
   ValidateErrorMessage} = require(`./../src/server/server-settings`);
 
 const offersRoute = require(`../src/server/routes/router`)(
     offersStoreMock,
-    new MockImageStore(ImagesStoreNames.AVATARS),
-    new MockImageStore(ImagesStoreNames.PREVIEWS)
+    new MemoryImagesStore(ImagesStoreNames.AVATARS),
+    new MemoryImagesStore(ImagesStoreNames.PREVIEWS)
 );
 
 const VALID_POST_OFFER = {
@@ -26,9 +35,9 @@ const VALID_POST_OFFER = {
   address: `570, 472`,
   price: 30000,
   type: `flat`,
-  rooms: 0,
+  rooms: 1,
   guests: 1,
-  checkin: `9:00`,
+  checkin: `12:00`,
   checkout: `12:00`,
   features: [`elevator`, `conditioner`],
   location: {
@@ -37,6 +46,20 @@ const VALID_POST_OFFER = {
   }
 };
 
+const TEST_USER = {
+  id: `test-user-id`,
+  name: `Anna`
+};
+const AUTHORIZATION = `Bearer ${createToken({sub: TEST_USER.id, name: TEST_USER.name})}`;
+
+const UUID_REGEXP = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+// Posted offer is sent back with its generated id and the id of its owner
+const withId = (offer, response) => {
+  assert.ok(UUID_REGEXP.test(response.body.id), `Offer id "${response.body.id}" isn't a UUID`);
+  return Object.assign({}, offer, {id: response.body.id, ownerId: TEST_USER.id});
+};
+
 const app = express();
 app.use(DEFAULT_PATH, offersRoute);
 app.use((req, res) => {
@@ -48,13 +71,14 @@ describe(`POST ${DEFAULT_PATH}`, () => {
     it(`sends correct offer as json`, async () => {
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .send(VALID_POST_OFFER)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `application/json`)
         .expect(StatusCodes.OK)
         .expect(`Content-Type`, /json/);
 
-      assert.deepStrictEqual(response.body, VALID_POST_OFFER);
+      assert.deepStrictEqual(response.body, withId(VALID_POST_OFFER, response));
     });
 
     it(`sends correct offer as multipart/form-data`, async () => {
@@ -67,6 +91,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
         checkin: VALID_POST_OFFER.checkin,
         checkout: VALID_POST_OFFER.checkout,
         rooms: VALID_POST_OFFER.rooms.toString(),
+        guests: VALID_POST_OFFER.guests.toString(),
         features: [],
         avatar: {
           name: `user01.png`,
@@ -83,6 +108,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
       };
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .field(`name`, VALID_POST_OFFER.name)
         .field(`title`, VALID_POST_OFFER.title)
         .field(`type`, VALID_POST_OFFER.type)
@@ -91,6 +117,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
         .field(`checkin`, VALID_POST_OFFER.checkin)
         .field(`checkout`, VALID_POST_OFFER.checkout)
         .field(`rooms`, VALID_POST_OFFER.rooms)
+        .field(`guests`, VALID_POST_OFFER.guests)
         .attach(`avatar`, `${__dirname}/../static/img/avatars/user01.png`)
         .attach(`preview`, `${__dirname}/../static/img/avatars/user02.png`)
         .set(`Accept`, `application/json`)
@@ -98,7 +125,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
         .expect(StatusCodes.OK)
         .expect(`Content-Type`, /json/);
 
-      assert.deepStrictEqual(response.body, expectedResponse);
+      assert.deepStrictEqual(response.body, withId(expectedResponse, response));
     });
   });
 
@@ -108,6 +135,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
 
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .send(offerWithoutTitle)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `application/json`)
@@ -124,6 +152,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
 
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .send(offerWithNotStringTitle)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `application/json`)
@@ -140,6 +169,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
 
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .send(shortTitleOffer)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `application/json`)
@@ -156,6 +186,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
 
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .send(longTitleOffer)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `application/json`)
@@ -174,6 +205,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
 
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .send(offerWithoutType)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `application/json`)
@@ -190,6 +222,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
 
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .send(unknownTypeOffer)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `application/json`)
@@ -208,6 +241,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
 
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .send(offerWithoutPrice)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `application/json`)
@@ -224,6 +258,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
 
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .send(offerWithBigPrice)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `application/json`)
@@ -240,6 +275,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
 
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .send(offerWithNaNPrice)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `application/json`)
@@ -258,6 +294,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
 
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .send(offerWithoutAddress)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `application/json`)
@@ -274,6 +311,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
 
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .send(longAddressOffer)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `application/json`)
@@ -292,6 +330,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
 
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .send(offerWithoutCheckin)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `application/json`)
@@ -308,6 +347,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
 
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .send(unvalidChekinOffer)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `application/json`)
@@ -326,6 +366,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
 
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .send(offerWithoutCheckout)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `application/json`)
@@ -342,6 +383,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
 
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .send(unvalidChekoutOffer)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `application/json`)
@@ -360,6 +402,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
 
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .send(offerWithoutRooms)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `application/json`)
@@ -376,6 +419,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
 
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .send(offerWithBigRoomsNumber)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `application/json`)
@@ -392,6 +436,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
 
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .send(offerWithNaNRooms)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `application/json`)
@@ -404,6 +449,79 @@ describe(`POST ${DEFAULT_PATH}`, () => {
     });
   });
 
+  describe(`Guests, description, address coordinates and form rules`, () => {
+    const postOffer = (changes) => request(app)
+      .post(DEFAULT_PATH)
+      .set(`Authorization`, AUTHORIZATION)
+      .send(Object.assign({}, VALID_POST_OFFER, changes))
+      .set(`Accept`, `application/json`)
+      .set(`Content-Type`, `application/json`);
+
+    const assertValidationError = async (changes, fieldName, errorMessage) => {
+      const response = await postOffer(changes)
+        .expect(StatusCodes.BAD_REQUEST)
+        .expect(`Content-Type`, /json/);
+
+      assert.deepStrictEqual(response.body.map((it) => [it.fieldName, it.errorMessage]), [[fieldName, errorMessage]]);
+    };
+
+    it(`doesn't send offer without guests number`, async () => {
+      await assertValidationError({guests: void 0}, `guests`, ValidateErrorMessage.REQUIRED);
+    });
+
+    it(`doesn't send offer with not an integer guests number`, async () => {
+      await assertValidationError({guests: 1.5}, `guests`, ValidateErrorMessage.GUESTS);
+      await assertValidationError({guests: ``}, `guests`, ValidateErrorMessage.GUESTS);
+    });
+
+    it(`doesn't send offer with guests number out of range`, async () => {
+      await assertValidationError({guests: GuestsQuantity.MIN - 1}, `guests`, ValidateErrorMessage.GUESTS);
+      await assertValidationError({guests: GuestsQuantity.MAX + 1}, `guests`, ValidateErrorMessage.GUESTS);
+    });
+
+    it(`doesn't send offer with more guests than rooms`, async () => {
+      await assertValidationError({rooms: 2, guests: 3}, `guests`, ValidateErrorMessage.CAPACITY);
+    });
+
+    it(`sends offer with ${NOT_FOR_GUESTS_ROOMS} rooms only if it's not for guests`, async () => {
+      await assertValidationError({rooms: NOT_FOR_GUESTS_ROOMS, guests: 1}, `guests`, ValidateErrorMessage.CAPACITY);
+      await assertValidationError({rooms: 1, guests: 0}, `guests`, ValidateErrorMessage.CAPACITY);
+      await postOffer({rooms: NOT_FOR_GUESTS_ROOMS, guests: 0}).expect(StatusCodes.OK);
+    });
+
+    it(`doesn't send offer with description longer than ${MAX_DESCRIPTION_LENGTH} characters`, async () => {
+      await assertValidationError({description: `a`.repeat(MAX_DESCRIPTION_LENGTH + 1)}, `description`, ValidateErrorMessage.DESCRIPTION);
+      await postOffer({description: `a`.repeat(MAX_DESCRIPTION_LENGTH)}).expect(StatusCodes.OK);
+    });
+
+    it(`doesn't send offer with address which isn't coordinates within the map`, async () => {
+      await assertValidationError({address: `Tokyo, Chiyoda`}, `address`, ValidateErrorMessage.ADDRESS_COORDINATES);
+      await assertValidationError({address: `570`}, `address`, ValidateErrorMessage.ADDRESS_COORDINATES);
+      await assertValidationError({address: `570, 900`}, `address`, ValidateErrorMessage.ADDRESS_COORDINATES);
+      await assertValidationError({address: `${MapBounds.X.MAX + 1}, 300`}, `address`, ValidateErrorMessage.ADDRESS_COORDINATES);
+      await assertValidationError({address: `570, ${MapBounds.Y.MIN - 1}`}, `address`, ValidateErrorMessage.ADDRESS_COORDINATES);
+    });
+
+    it(`sends offer with address on the map bounds`, async () => {
+      await postOffer({address: `${MapBounds.X.MIN}, ${MapBounds.Y.MIN}`}).expect(StatusCodes.OK);
+      await postOffer({address: `${MapBounds.X.MAX}, ${MapBounds.Y.MAX}`}).expect(StatusCodes.OK);
+    });
+
+    it(`doesn't send offer without rooms`, async () => {
+      await assertValidationError({rooms: 0, guests: 0}, `rooms`, ValidateErrorMessage.ROOMS);
+    });
+
+    it(`doesn't send offer with price less than the minimum of its type`, async () => {
+      await assertValidationError({type: `house`, price: 4999}, `price`, ValidateErrorMessage.TYPE_PRICE);
+      await postOffer({type: `bungalo`, price: 1}).expect(StatusCodes.OK);
+    });
+
+    it(`doesn't send offer with checkout other than checkin`, async () => {
+      await assertValidationError({checkin: `13:00`, checkout: `12:00`}, `checkout`, ValidateErrorMessage.CHECKOUT_MATCH);
+      await postOffer({checkin: `9:00`, checkout: `09:00`}).expect(StatusCodes.OK);
+    });
+  });
+
   describe(`Features`, () => {
     it(`should send offer without features`, async () => {
       const offerWithoutFeatures = Object.assign({}, VALID_POST_OFFER);
@@ -411,6 +529,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
 
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .send(offerWithoutFeatures)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `application/json`)
@@ -421,7 +540,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
         features: []
       });
 
-      assert.deepStrictEqual(response.body, expectedOffer);
+      assert.deepStrictEqual(response.body, withId(expectedOffer, response));
     });
 
     it(`should send offer with one feature`, async () => {
@@ -429,13 +548,14 @@ describe(`POST ${DEFAULT_PATH}`, () => {
 
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .send(offerWithoutFeatures)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `application/json`)
         .expect(StatusCodes.OK)
         .expect(`Content-Type`, /json/);
 
-      assert.deepStrictEqual(response.body, offerWithoutFeatures);
+      assert.deepStrictEqual(response.body, withId(offerWithoutFeatures, response));
     });
 
     it(`doesn't send offer with double features`, async () => {
@@ -443,6 +563,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
 
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .send(doubleFeatureOffer)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `application/json`)
@@ -459,6 +580,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
 
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .send(unknownFeatureOffer)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `application/json`)
@@ -473,18 +595,20 @@ describe(`POST ${DEFAULT_PATH}`, () => {
   });
 
   describe(`Name field`, () => {
-    it(`add name if offer is post without name`, async () => {
-      const withoutNameOffer = Object.assign({}, VALID_POST_OFFER, {name: ``});
+    it(`stamps offer with the name and id of the authorized user instead of the posted name`, async () => {
+      const otherNameOffer = Object.assign({}, VALID_POST_OFFER, {name: `Somebody else`});
 
       const response = await request(app)
         .post(DEFAULT_PATH)
-        .send(withoutNameOffer)
+        .set(`Authorization`, AUTHORIZATION)
+        .send(otherNameOffer)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `application/json`)
         .expect(StatusCodes.OK)
         .expect(`Content-Type`, /json/);
 
-      assert.ok(NAMES.includes(response.body.name));
+      assert.strictEqual(response.body.name, TEST_USER.name);
+      assert.strictEqual(response.body.ownerId, TEST_USER.id);
     });
   });
 
@@ -493,6 +617,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
 
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .field(`title`, VALID_POST_OFFER.title)
         .field(`type`, VALID_POST_OFFER.type)
         .field(`price`, VALID_POST_OFFER.price)
@@ -500,6 +625,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
         .field(`checkin`, VALID_POST_OFFER.checkin)
         .field(`checkout`, VALID_POST_OFFER.checkout)
         .field(`rooms`, VALID_POST_OFFER.rooms)
+        .field(`guests`, VALID_POST_OFFER.guests)
         .attach(`avatar`, `${__dirname}/../static/css/style.css`)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `multipart/form-data`)
@@ -517,6 +643,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
 
       const response = await request(app)
         .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
         .field(`title`, VALID_POST_OFFER.title)
         .field(`type`, VALID_POST_OFFER.type)
         .field(`price`, VALID_POST_OFFER.price)
@@ -524,6 +651,7 @@ describe(`POST ${DEFAULT_PATH}`, () => {
         .field(`checkin`, VALID_POST_OFFER.checkin)
         .field(`checkout`, VALID_POST_OFFER.checkout)
         .field(`rooms`, VALID_POST_OFFER.rooms)
+        .field(`guests`, VALID_POST_OFFER.guests)
         .attach(`preview`, `${__dirname}/../static/css/style.css`)
         .set(`Accept`, `application/json`)
         .set(`Content-Type`, `multipart/form-data`)
@@ -534,5 +662,101 @@ describe(`POST ${DEFAULT_PATH}`, () => {
 
       assert.strictEqual(unvalidPreviewErrMessage, ValidateErrorMessage.IMAGES);
     });
+
+    it(`doesn't send preview which content doesn't match its image type`, async () => {
+
+      const response = await request(app)
+        .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
+        .field(`title`, VALID_POST_OFFER.title)
+        .field(`type`, VALID_POST_OFFER.type)
+        .field(`price`, VALID_POST_OFFER.price)
+        .field(`address`, VALID_POST_OFFER.address)
+        .field(`checkin`, VALID_POST_OFFER.checkin)
+        .field(`checkout`, VALID_POST_OFFER.checkout)
+        .field(`rooms`, VALID_POST_OFFER.rooms)
+        .field(`guests`, VALID_POST_OFFER.guests)
+        .attach(`preview`, `${__dirname}/../static/css/style.css`, {filename: `style.png`, contentType: `image/png`})
+        .set(`Accept`, `application/json`)
+        .set(`Content-Type`, `multipart/form-data`)
+        .expect(StatusCodes.BAD_REQUEST)
+        .expect(`Content-Type`, /json/);
+
+      assert.strictEqual(response.body[0].fieldName, `preview`);
+      assert.strictEqual(response.body[0].errorMessage, ValidateErrorMessage.IMAGE_CONTENT);
+    });
+
+    it(`doesn't send more than ${UploadLimit.PREVIEWS} previews`, async () => {
+      const postRequest = request(app)
+        .post(DEFAULT_PATH)
+        .set(`Authorization`, AUTHORIZATION)
+        .field(`title`, VALID_POST_OFFER.title)
+        .field(`type`, VALID_POST_OFFER.type)
+        .field(`price`, VALID_POST_OFFER.price)
+        .field(`address`, VALID_POST_OFFER.address)
+        .field(`checkin`, VALID_POST_OFFER.checkin)
+        .field(`checkout`, VALID_POST_OFFER.checkout)
+        .field(`rooms`, VALID_POST_OFFER.rooms)
+        .field(`guests`, VALID_POST_OFFER.guests);
+
+      for (let i = 0; i <= UploadLimit.PREVIEWS; i++) {
+        postRequest.attach(`preview`, `${__dirname}/../static/img/avatars/user02.png`);
+      }
+
+      const response = await postRequest
+        .set(`Accept`, `application/json`)
+        .set(`Content-Type`, `multipart/form-data`)
+        .expect(StatusCodes.BAD_REQUEST)
+        .expect(`Content-Type`, /json/);
+
+      assert.strictEqual(response.body[0].fieldName, `preview`);
+      assert.strictEqual(response.body[0].errorMessage, ValidateErrorMessage.PREVIEWS_COUNT);
+    });
+  });
+});
+
+const AVATAR_PATH = `${__dirname}/../static/img/avatars/user01.png`;
+const PREVIEW_PATH = `${__dirname}/../static/img/avatars/user02.png`;
+
+// Both the files fit the limit, but not together
+const TEST_REQUEST_SIZE = Math.max(fs.statSync(AVATAR_PATH).size, fs.statSync(PREVIEW_PATH).size) + 1;
+
+const uploadApp = express();
+uploadApp.post(`/`, multer({storage: new UploadStorage(TEST_REQUEST_SIZE)}).any(), (req, res) => {
+  res.send(req.files.map((file) => ({fieldName: file.fieldname, size: file.buffer.length})));
+});
+uploadApp.use((err, req, res, next) => {
+  res.status(StatusCodes.BAD_REQUEST).send({code: err.code, fieldName: err.field});
+  next();
+});
+
+describe(`Upload storage`, () => {
+  it(`keeps files within the request size in memory`, async () => {
+    const response = await request(uploadApp)
+      .post(`/`)
+      .attach(`avatar`, AVATAR_PATH)
+      .expect(StatusCodes.OK);
+
+    assert.deepStrictEqual(response.body, [{fieldName: `avatar`, size: fs.statSync(AVATAR_PATH).size}]);
+  });
+
+  it(`reports request size error on the file which exceeds it`, async () => {
+    const response = await request(uploadApp)
+      .post(`/`)
+      .attach(`preview`, PREVIEW_PATH)
+      .attach(`avatar`, AVATAR_PATH)
+      .expect(StatusCodes.BAD_REQUEST);
+
+    assert.deepStrictEqual(response.body, {code: REQUEST_SIZE_ERROR_CODE, fieldName: `avatar`});
+  });
+
+  it(`counts the size of all the files of the request`, async () => {
+    const response = await request(uploadApp)
+      .post(`/`)
+      .attach(`avatar`, AVATAR_PATH)
+      .attach(`preview`, PREVIEW_PATH)
+      .expect(StatusCodes.BAD_REQUEST);
+
+    assert.deepStrictEqual(response.body, {code: REQUEST_SIZE_ERROR_CODE, fieldName: `preview`});
   });
 });
@@ -0,0 +1,90 @@
+const request = require(`supertest`);
+const assert = require(`assert`);
+const express = require(`express`);
+
+const {createApiKey} = require(`../src/server/auth/api-keys`);
+const MemoryApiKeysStore = require(`../src/server/store/memory-api-keys-store`);
+const MemoryRateLimitStore = require(`../src/server/store/memory-rate-limit-store`);
+
+const {ApiKeySettings,
+  StatusCodes} = require(`./../src/server/server-settings`);
+
+const TEST_PATH = `/api/test`;
+const TEST_BUDGET = {CAPACITY: 2, RATE: 0.5};
+
+const TEST_SETTINGS = {
+  READ: {CAPACITY: 3, RATE: 1},
+  WRITE: TEST_BUDGET
+};
+
+describe(`Rate limiter`, () => {
+  let app;
+  let testKey;
+
+  beforeEach(async () => {
+    const apiKeysStore = new MemoryApiKeysStore();
+    const {key, keyData} = createApiKey({id: `partner-user-id`, name: `Partner`});
+    testKey = key;
+    await apiKeysStore.save(keyData);
+
+    app = express();
+    app.use(`/api`, require(`../src/server/routes/rate-limit`)(new MemoryRateLimitStore(), apiKeysStore, TEST_SETTINGS));
+    app.get(TEST_PATH, (req, res) => res.send({}));
+    app.post(TEST_PATH, (req, res) => res.send({}));
+  });
+
+  const postRequest = () => request(app)
+    .post(TEST_PATH)
+    .set(`Accept`, `application/json`);
+
+  it(`should tell the budget in RateLimit headers`, async () => {
+    await postRequest()
+      .expect(StatusCodes.OK)
+      .expect(`RateLimit-Limit`, `2`)
+      .expect(`RateLimit-Remaining`, `1`)
+      .expect(`RateLimit-Reset`, `2`);
+  });
+
+  it(`should reject the writes over the budget with Retry-After`, async () => {
+    await postRequest().expect(StatusCodes.OK);
+    await postRequest().expect(StatusCodes.OK);
+
+    const response = await postRequest()
+      .expect(StatusCodes.TOO_MANY_REQUESTS)
+      .expect(`Retry-After`, /^[12]$/)
+      .expect(`RateLimit-Remaining`, `0`)
+      .expect(`Content-Type`, /json/);
+
+    assert.strictEqual(response.body.code, StatusCodes.TOO_MANY_REQUESTS);
+  });
+
+  it(`should keep the separate budgets for reads, writes and API keys`, async () => {
+    await postRequest().expect(StatusCodes.OK);
+    await postRequest().expect(StatusCodes.OK);
+    await postRequest().expect(StatusCodes.TOO_MANY_REQUESTS);
+
+    await request(app).get(TEST_PATH).expect(StatusCodes.OK).expect(`RateLimit-Limit`, `3`);
+    await postRequest().set(ApiKeySettings.HEADER, testKey).expect(StatusCodes.OK);
+  });
+
+  it(`should limit the requests with unknown API keys by IP`, async () => {
+    await postRequest().set(ApiKeySettings.HEADER, `random-key-1`).expect(StatusCodes.OK);
+    await postRequest().set(ApiKeySettings.HEADER, `random-key-2`).expect(StatusCodes.OK);
+    await postRequest().set(ApiKeySettings.HEADER, `random-key-3`).expect(StatusCodes.TOO_MANY_REQUESTS);
+    await postRequest().expect(StatusCodes.TOO_MANY_REQUESTS);
+  });
+});
+
+describe(`Memory rate limit store`, () => {
+  it(`should refill the bucket with the budget rate up to its capacity`, async () => {
+    const store = new MemoryRateLimitStore();
+    const now = Date.now();
+
+    await store.consume(`bucket`, TEST_BUDGET, now);
+    await store.consume(`bucket`, TEST_BUDGET, now);
+    assert.deepStrictEqual(await store.consume(`bucket`, TEST_BUDGET, now), {allowed: false, remaining: 0, retryAfter: 2, reset: 4});
+
+    assert.strictEqual((await store.consume(`bucket`, TEST_BUDGET, now + 2000)).allowed, true);
+    assert.strictEqual((await store.consume(`bucket`, TEST_BUDGET, now + 60000)).remaining, TEST_BUDGET.CAPACITY - 1);
+  });
+});
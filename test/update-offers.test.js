@@ -0,0 +1,293 @@
+const request = require(`supertest`);
+const assert = require(`assert`);
+const express = require(`express`);
+const toStream = require(`buffer-to-stream`);
+
+const {createToken} = require(`../src/server/auth/token`);
+const {OffersStoreMock} = require(`./mock/offers-store-mock`);
+const {createTestOffer} = require(`./mock/test-offer`);
+const MemoryBookingsStore = require(`../src/server/store/memory-bookings-store`);
+const MemoryImagesStore = require(`../src/server/store/memory-images-store`);
+
+const {DEFAULT_PATH,
+  ImagesStoreNames,
+  StatusCodes,
+  UserRoles,
+  ValidateErrorMessage} = require(`./../src/server/server-settings`);
+
+const TEST_DATE = 1540000000000;
+const TEST_ID = `3f1c7b52-8a4e-4d6b-9f0a-2c5e7d9b1a36`;
+
+const OWNER_ID = `owner-user-id`;
+
+const getAuthorization = (id, role = UserRoles.USER) => `Bearer ${createToken({sub: id, name: `Anna`, role})}`;
+const OWNER_AUTHORIZATION = getAuthorization(OWNER_ID);
+
+const TEST_OFFER = createTestOffer({
+  _id: `test-offer-object-id`,
+  offer: {
+    description: `Quiet place`,
+    features: [`wifi`]
+  },
+  date: TEST_DATE,
+  id: TEST_ID,
+  ownerId: OWNER_ID
+});
+
+const createApp = (offersStore, avatarStore, previewStore, bookingsStore) => {
+  const offersRoute = require(`../src/server/routes/router`)(offersStore, avatarStore, previewStore, bookingsStore);
+  const app = express();
+  app.use(DEFAULT_PATH, offersRoute);
+  return app;
+};
+
+describe(`PUT, PATCH, DELETE ${DEFAULT_PATH}/:date`, () => {
+  let offersStore;
+  let avatarStore;
+  let previewStore;
+  let bookingsStore;
+  let app;
+
+  beforeEach(() => {
+    offersStore = new OffersStoreMock([TEST_OFFER]);
+    avatarStore = new MemoryImagesStore(ImagesStoreNames.AVATARS);
+    previewStore = new MemoryImagesStore(ImagesStoreNames.PREVIEWS);
+    bookingsStore = new MemoryBookingsStore();
+    app = createApp(offersStore, avatarStore, previewStore, bookingsStore);
+  });
+
+  describe(`PATCH`, () => {
+    it(`updates only the sent fields`, async () => {
+      const response = await request(app)
+        .patch(`${DEFAULT_PATH}/${TEST_DATE}`)
+        .set(`Authorization`, OWNER_AUTHORIZATION)
+        .send({price: 5000})
+        .set(`Accept`, `application/json`)
+        .set(`Content-Type`, `application/json`)
+        .expect(StatusCodes.OK)
+        .expect(`Content-Type`, /json/);
+
+      assert.strictEqual(response.body.offer.price, 5000);
+      assert.strictEqual(response.body.offer.title, TEST_OFFER.offer.title);
+      assert.strictEqual(response.body.date, TEST_DATE);
+      assert.strictEqual(response.body.id, TEST_ID);
+
+      const savedOffer = await offersStore.getOffer(TEST_DATE);
+      assert.strictEqual(savedOffer.offer.price, 5000);
+    });
+
+    it(`doesn't update offer with invalid field`, async () => {
+      const response = await request(app)
+        .patch(`${DEFAULT_PATH}/${TEST_DATE}`)
+        .set(`Authorization`, OWNER_AUTHORIZATION)
+        .send({type: `room`})
+        .set(`Accept`, `application/json`)
+        .set(`Content-Type`, `application/json`)
+        .expect(StatusCodes.BAD_REQUEST)
+        .expect(`Content-Type`, /json/);
+
+      assert.strictEqual(response.body[0].errorMessage, ValidateErrorMessage.TYPE);
+
+      const savedOffer = await offersStore.getOffer(TEST_DATE);
+      assert.strictEqual(savedOffer.offer.type, TEST_OFFER.offer.type);
+    });
+
+    it(`doesn't update unknown offer`, async () => {
+      return await request(app)
+        .patch(`${DEFAULT_PATH}/${TEST_DATE + 1}`)
+        .set(`Authorization`, OWNER_AUTHORIZATION)
+        .send({price: 5000})
+        .set(`Accept`, `application/json`)
+        .set(`Content-Type`, `application/json`)
+        .expect(StatusCodes.NOT_FOUND)
+        .expect(`Content-Type`, /json/);
+    });
+  });
+
+  describe(`PUT`, () => {
+    it(`replaces the whole offer`, async () => {
+      const newOffer = {
+        title: `Big house near the sea with a beautiful garden`,
+        address: `600, 300`,
+        price: 70000,
+        type: `house`,
+        rooms: 3,
+        guests: 3,
+        checkin: `14:00`,
+        checkout: `14:00`
+      };
+
+      const response = await request(app)
+        .put(`${DEFAULT_PATH}/${TEST_DATE}`)
+        .set(`Authorization`, OWNER_AUTHORIZATION)
+        .send(newOffer)
+        .set(`Accept`, `application/json`)
+        .set(`Content-Type`, `application/json`)
+        .expect(StatusCodes.OK)
+        .expect(`Content-Type`, /json/);
+
+      assert.strictEqual(response.body.offer.type, newOffer.type);
+      assert.deepStrictEqual(response.body.offer.features, []);
+      assert.deepStrictEqual(response.body.location, {x: 600, y: 300});
+      assert.strictEqual(response.body.author.name, TEST_OFFER.author.name);
+      assert.strictEqual(response.body.ownerId, OWNER_ID);
+    });
+
+    it(`doesn't replace offer with incomplete data`, async () => {
+      const response = await request(app)
+        .put(`${DEFAULT_PATH}/${TEST_DATE}`)
+        .set(`Authorization`, OWNER_AUTHORIZATION)
+        .send({price: 5000})
+        .set(`Accept`, `application/json`)
+        .set(`Content-Type`, `application/json`)
+        .expect(StatusCodes.BAD_REQUEST)
+        .expect(`Content-Type`, /json/);
+
+      assert.strictEqual(response.body[0].errorMessage, ValidateErrorMessage.REQUIRED);
+    });
+  });
+
+  describe(`Routes by id`, () => {
+    it(`get offer by id`, async () => {
+      const response = await request(app)
+        .get(`${DEFAULT_PATH}/id/${TEST_ID}`)
+        .set(`Accept`, `application/json`)
+        .expect(StatusCodes.OK)
+        .expect(`Content-Type`, /json/);
+
+      assert.strictEqual(response.body.id, TEST_ID);
+      assert.strictEqual(response.body._id, void 0);
+    });
+
+    it(`doesn't get offer with unknown id`, async () => {
+      return await request(app)
+        .get(`${DEFAULT_PATH}/id/unknown-id`)
+        .set(`Accept`, `application/json`)
+        .expect(StatusCodes.NOT_FOUND)
+        .expect(`Content-Type`, /json/);
+    });
+
+    it(`patches offer by id`, async () => {
+      const response = await request(app)
+        .patch(`${DEFAULT_PATH}/id/${TEST_ID}`)
+        .set(`Authorization`, OWNER_AUTHORIZATION)
+        .send({rooms: 2})
+        .set(`Accept`, `application/json`)
+        .set(`Content-Type`, `application/json`)
+        .expect(StatusCodes.OK)
+        .expect(`Content-Type`, /json/);
+
+      assert.strictEqual(response.body.offer.rooms, 2);
+      assert.strictEqual(response.body.id, TEST_ID);
+    });
+
+    it(`removes offer by id`, async () => {
+      await request(app)
+        .delete(`${DEFAULT_PATH}/id/${TEST_ID}`)
+        .set(`Authorization`, OWNER_AUTHORIZATION)
+        .expect(StatusCodes.NO_CONTENT);
+
+      assert.strictEqual(await offersStore.getOfferById(TEST_ID), void 0);
+    });
+  });
+
+  describe(`DELETE`, () => {
+    it(`removes offer and its images`, async () => {
+      const storedId = TEST_OFFER._id;
+      const image = {contentType: `image/png`};
+
+      await avatarStore.save(storedId, toStream(Buffer.from(`avatar`)), image);
+      await avatarStore.save(`${storedId}-thumb`, toStream(Buffer.from(`thumbnail`)), image);
+      await previewStore.save(`${storedId}-0`, toStream(Buffer.from(`photo`)), image);
+      await previewStore.save(`${storedId}-1-thumb`, toStream(Buffer.from(`thumbnail`)), image);
+      await bookingsStore.save({id: `booking`, offerId: TEST_ID, start: 0, end: 1});
+
+      await request(app)
+        .delete(`${DEFAULT_PATH}/${TEST_DATE}`)
+        .set(`Authorization`, OWNER_AUTHORIZATION)
+        .expect(StatusCodes.NO_CONTENT);
+
+      assert.strictEqual(await offersStore.getOffer(TEST_DATE), void 0);
+      assert.strictEqual(await avatarStore.get(storedId), void 0);
+      assert.strictEqual(await avatarStore.get(`${storedId}-thumb`), void 0);
+      assert.strictEqual(await previewStore.get(`${storedId}-0`), void 0);
+      assert.strictEqual(await previewStore.get(`${storedId}-1-thumb`), void 0);
+      assert.deepStrictEqual(await bookingsStore.getBookings(TEST_ID), []);
+    });
+
+    it(`doesn't remove unknown offer`, async () => {
+      return await request(app)
+        .delete(`${DEFAULT_PATH}/${TEST_DATE + 1}`)
+        .set(`Authorization`, OWNER_AUTHORIZATION)
+        .set(`Accept`, `application/json`)
+        .expect(StatusCodes.NOT_FOUND)
+        .expect(`Content-Type`, /json/);
+    });
+  });
+
+  describe(`Permissions`, () => {
+    const patchOffer = (authorization) => {
+      const patchRequest = request(app)
+        .patch(`${DEFAULT_PATH}/id/${TEST_ID}`)
+        .send({price: 5000})
+        .set(`Accept`, `application/json`);
+      return authorization ? patchRequest.set(`Authorization`, authorization) : patchRequest;
+    };
+
+    it(`doesn't let anonymous user modify offer`, async () => {
+      await patchOffer().expect(StatusCodes.UNAUTHORIZED);
+    });
+
+    it(`doesn't let other user modify or remove offer`, async () => {
+      const otherAuthorization = getAuthorization(`other-user-id`);
+
+      const response = await patchOffer(otherAuthorization).expect(StatusCodes.FORBIDDEN);
+      assert.strictEqual(response.body.code, StatusCodes.FORBIDDEN);
+
+      await request(app)
+        .delete(`${DEFAULT_PATH}/id/${TEST_ID}`)
+        .set(`Authorization`, otherAuthorization)
+        .expect(StatusCodes.FORBIDDEN);
+
+      const savedOffer = await offersStore.getOfferById(TEST_ID);
+      assert.strictEqual(savedOffer.offer.price, TEST_OFFER.offer.price);
+    });
+
+    it(`lets admin modify any offer keeping its owner`, async () => {
+      const response = await patchOffer(getAuthorization(`admin-user-id`, UserRoles.ADMIN)).expect(StatusCodes.OK);
+
+      assert.strictEqual(response.body.offer.price, 5000);
+      assert.strictEqual(response.body.ownerId, OWNER_ID);
+    });
+
+    it(`doesn't let the sent name replace the offer author`, async () => {
+      const {body: patched} = await request(app)
+        .patch(`${DEFAULT_PATH}/id/${TEST_ID}`)
+        .set(`Authorization`, OWNER_AUTHORIZATION)
+        .send({name: `Mallory`})
+        .set(`Accept`, `application/json`)
+        .expect(StatusCodes.OK);
+
+      const {body: replaced} = await request(app)
+        .put(`${DEFAULT_PATH}/id/${TEST_ID}`)
+        .set(`Authorization`, getAuthorization(`admin-user-id`, UserRoles.ADMIN))
+        .send(Object.assign({}, TEST_OFFER.offer, {name: `Mallory`}))
+        .set(`Accept`, `application/json`)
+        .expect(StatusCodes.OK);
+
+      assert.strictEqual(patched.author.name, TEST_OFFER.author.name);
+      assert.strictEqual(replaced.author.name, TEST_OFFER.author.name);
+
+      const savedOffer = await offersStore.getOfferById(TEST_ID);
+      assert.strictEqual(savedOffer.author.name, TEST_OFFER.author.name);
+    });
+
+    it(`lets only admin modify offer without owner`, async () => {
+      offersStore = new OffersStoreMock([Object.assign({}, TEST_OFFER, {ownerId: void 0})]);
+      app = createApp(offersStore, avatarStore, previewStore, bookingsStore);
+
+      await patchOffer(OWNER_AUTHORIZATION).expect(StatusCodes.FORBIDDEN);
+      await patchOffer(getAuthorization(`admin-user-id`, UserRoles.ADMIN)).expect(StatusCodes.OK);
+    });
+  });
+});